@@ -0,0 +1,340 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { pricingClient } from '../utils/pricingClient';
+import { marketDataService } from '../services/MarketDataService';
+import { ammInstance } from '../utils/amm';
+import { POSITION_SIZING_RULES } from '../utils/positionSizing';
+
+// Number of contracts highlighted as the best opportunities
+const TOP_EDGE_COUNT = 3;
+
+const EdgeFinder = ({ marketId, selectedDate, currentPrice = 0.5, marketExpiresAt }) => {
+  const [forecast, setForecast] = useState((currentPrice * 100).toFixed(1));
+  const [volatility, setVolatility] = useState('');
+  const [edges, setEdges] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [bankroll, setBankroll] = useState('1000');
+  const [sizingRule, setSizingRule] = useState('fractional-kelly');
+  const [kellyFraction, setKellyFraction] = useState('50');
+  const [maxLossFraction, setMaxLossFraction] = useState('2');
+  const pricingRequest = useRef(null);
+  const latestPrice = useRef(currentPrice);
+  latestPrice.current = currentPrice;
+
+  // A new market or expiry starts from the market's price. Price polls leave
+  // the trader's forecast and results alone.
+  useEffect(() => {
+    setForecast((latestPrice.current * 100).toFixed(1));
+    setEdges([]);
+    setError(null);
+
+    return () => pricingRequest.current?.abort();
+  }, [marketId, selectedDate]);
+
+  const findEdges = async (event) => {
+    event.preventDefault();
+
+    const forecastProbability = parseFloat(forecast) / 100;
+    const forecastVolatility = volatility === '' ? undefined : parseFloat(volatility) / 100;
+
+    if (!(forecastProbability > 0 && forecastProbability < 1)) {
+      setError('Forecast must be between 0% and 100%');
+      return;
+    }
+    if (forecastVolatility !== undefined && !(forecastVolatility > 0)) {
+      setError('Volatility must be positive');
+      return;
+    }
+
+    pricingRequest.current?.abort();
+    const controller = new AbortController();
+    pricingRequest.current = controller;
+    setIsLoading(true);
+
+    try {
+      const expiryDate = selectedDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+      const quotedChain = await marketDataService.getOptionsChain(marketId, expiryDate);
+      const strikes = [...new Set([...quotedChain.calls, ...quotedChain.puts].map(option => option.strike * 100))];
+
+      // Reprice every contract as if the market traded at the forecast
+      const fairChain = await pricingClient.priceChain(marketId, strikes, [expiryDate], {
+        currentPrice: forecastProbability,
+        marketExpiresAt,
+        volatility: forecastVolatility
+      }, { signal: controller.signal });
+      const [fairQuotes] = fairChain.quotes;
+
+      setEdges(rankEdges([
+        ...compareQuotes(quotedChain.calls, fairQuotes, 'call'),
+        ...compareQuotes(quotedChain.puts, fairQuotes, 'put')
+      ]));
+      setError(null);
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Failed to find edge:', err);
+      setError('Failed to reprice the chain. Please try again.');
+    } finally {
+      if (!controller.signal.aborted) {
+        setIsLoading(false);
+      }
+    }
+  };
+
+  // Expected value per contract of trading if the forecast is right: buying
+  // pays the ask and selling receives the bid, taken from the contract's AMM
+  // pool when it has one. The side is whichever of the two is worth more.
+  const compareQuotes = (options = [], tenor, type) => {
+    const fairByStrike = new Map(tenor[type === 'call' ? 'calls' : 'puts'].map(quote => [quote.strike, quote]));
+    const discountFactor = Math.exp(-tenor.riskFreeRate * tenor.timeToExpiry);
+
+    return options
+      .filter(option => fairByStrike.has(option.strike * 100))
+      .map(option => {
+        const premium = parseFloat(option.premium);
+        const fairValue = fairByStrike.get(option.strike * 100).midPrice;
+        // Undiscounted, the fair value is the forecast probability that the contract pays
+        const payoutProbability = Math.min(1, fairValue / discountFactor);
+        const { askPrice, bidPrice } = quoteFor(option, type, premium);
+
+        const buyValue = fairValue - askPrice;
+        const sellValue = bidPrice - fairValue;
+        const side = buyValue >= sellValue ? 'buy' : 'sell';
+        const expectedValue = Math.max(buyValue, sellValue);
+
+        // A buyer risks the ask; a seller risks the payout less the bid
+        const capitalAtRisk = side === 'buy' ? askPrice : 1 - bidPrice;
+
+        return {
+          type,
+          strike: option.strike,
+          premium,
+          askPrice,
+          bidPrice,
+          fairValue,
+          payoutProbability,
+          // Neither side pays when the forecast sits inside the spread
+          side: expectedValue > 0 ? side : null,
+          expectedValue,
+          returnOnRisk: capitalAtRisk > 0 ? expectedValue / capitalAtRisk : null
+        };
+      });
+  };
+
+  // The pool's bid and ask when the contract has one; otherwise the quoted
+  // bid and ask, and quotes without a two-sided market trade both ways at the premium
+  const quoteFor = (option, type, premium) => {
+    const poolQuote = ammInstance.getPoolQuote(`${marketId}-${type.toUpperCase()}-${option.strike}`);
+    if (poolQuote) return poolQuote;
+
+    return {
+      askPrice: option.askPrice !== undefined ? parseFloat(option.askPrice) : premium,
+      bidPrice: option.bidPrice !== undefined ? parseFloat(option.bidPrice) : premium
+    };
+  };
+
+  const rankEdges = (rows) => {
+    const ranked = [...rows].sort((a, b) => b.expectedValue - a.expectedValue);
+    return ranked.map((row, index) => ({ ...row, isTopEdge: index < TOP_EDGE_COUNT && row.expectedValue > 0 }));
+  };
+
+  // Recommended order size for a contract under the chosen sizing rule, using
+  // the contract's AMM pool for slippage and the maximum order size, at the
+  // bid and ask its edge was measured against
+  const sizeEdge = (edge) => {
+    if (!edge.side) return null;
+
+    const optionId = `${marketId}-${edge.type.toUpperCase()}-${edge.strike}`;
+
+    try {
+      return ammInstance.recommendPositionSize(optionId, {
+        side: edge.side,
+        forecast: edge.payoutProbability,
+        askPrice: edge.askPrice,
+        bidPrice: edge.bidPrice,
+        bankroll: parseFloat(bankroll),
+        rule: sizingRule,
+        kellyFraction: parseFloat(kellyFraction) / 100,
+        maxLossFraction: parseFloat(maxLossFraction) / 100
+      });
+    } catch (err) {
+      return null;
+    }
+  };
+
+  const describeSize = (size) => {
+    const notes = [`Cost $${size.cost.toFixed(2)}`, `Expected profit $${size.expectedProfit.toFixed(2)}`];
+    if (size.slippage > 0) notes.push(`Slippage ${(size.slippage * 100).toFixed(2)}%`);
+    if (size.constraints.includes('max-order-size')) notes.push(`Capped at the pool's max order size`);
+    return notes.join('\n');
+  };
+
+  return (
+    <div className="px-4 py-5 sm:p-6">
+      <form onSubmit={findEdges} className="flex flex-wrap items-end gap-4 mb-4 text-sm">
+        <label className="flex flex-col">
+          <span className="font-medium text-gray-700 dark:text-gray-300 mb-1">Your probability (%)</span>
+          <input
+            type="number"
+            min="0.1"
+            max="99.9"
+            step="0.1"
+            value={forecast}
+            onChange={(e) => setForecast(e.target.value)}
+            className="w-32 p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+        </label>
+        <label className="flex flex-col">
+          <span className="font-medium text-gray-700 dark:text-gray-300 mb-1">Volatility (%)</span>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            placeholder="Market surface"
+            value={volatility}
+            onChange={(e) => setVolatility(e.target.value)}
+            className="w-32 p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="bg-polyIndigo-600 hover:bg-polyIndigo-700 text-white py-2 px-4 rounded transition-colors duration-150 shadow-option hover:shadow-md disabled:opacity-50"
+        >
+          {isLoading ? 'Repricing...' : 'Find edge'}
+        </button>
+        <span className="text-gray-500 dark:text-gray-400">
+          Market: {(currentPrice * 100).toFixed(1)}%
+        </span>
+      </form>
+
+      <div className="flex flex-wrap items-end gap-4 mb-4 text-sm">
+        <label className="flex flex-col">
+          <span className="font-medium text-gray-700 dark:text-gray-300 mb-1">Bankroll ($)</span>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={bankroll}
+            onChange={(e) => setBankroll(e.target.value)}
+            className="w-32 p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+        </label>
+        <label className="flex flex-col">
+          <span className="font-medium text-gray-700 dark:text-gray-300 mb-1">Sizing</span>
+          <select
+            value={sizingRule}
+            onChange={(e) => setSizingRule(e.target.value)}
+            className="p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          >
+            {POSITION_SIZING_RULES.map(rule => (
+              <option key={rule.id} value={rule.id}>{rule.label}</option>
+            ))}
+          </select>
+        </label>
+        {sizingRule === 'fractional-kelly' && (
+          <label className="flex flex-col">
+            <span className="font-medium text-gray-700 dark:text-gray-300 mb-1">Kelly fraction (%)</span>
+            <input
+              type="number"
+              min="1"
+              max="100"
+              step="1"
+              value={kellyFraction}
+              onChange={(e) => setKellyFraction(e.target.value)}
+              className="w-32 p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+          </label>
+        )}
+        {sizingRule === 'max-loss' && (
+          <label className="flex flex-col">
+            <span className="font-medium text-gray-700 dark:text-gray-300 mb-1">Max loss (% of bankroll)</span>
+            <input
+              type="number"
+              min="0.1"
+              max="100"
+              step="0.1"
+              value={maxLossFraction}
+              onChange={(e) => setMaxLossFraction(e.target.value)}
+              className="w-32 p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+          </label>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300 p-3 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+
+      {edges.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-polyDark-lighter">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Contract</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Quote</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Your Value</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Side</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">EV / Contract</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">EV / Risk</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Size</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-polyDark-lighter divide-y divide-gray-200 dark:divide-gray-700">
+              {edges.map((edge, index) => {
+                const size = sizeEdge(edge);
+
+                return (
+                  <tr
+                    key={`${edge.type}-${edge.strike}-${index}`}
+                    className={edge.isTopEdge ? 'bg-green-50 dark:bg-green-900/20' : ''}
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">
+                      {edge.type === 'call' ? 'Call' : 'Put'} {(edge.strike * 100).toFixed(1)}%
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-300">
+                      {edge.bidPrice === edge.askPrice
+                        ? `$${edge.premium.toFixed(4)}`
+                        : `$${edge.bidPrice.toFixed(4)} / $${edge.askPrice.toFixed(4)}`}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-300">
+                      ${edge.fairValue.toFixed(4)}
+                    </td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${
+                      edge.side === 'buy' ? 'text-green-600 dark:text-green-400' : edge.side === 'sell' ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'
+                    }`}>
+                      {edge.side === 'buy' ? 'Buy' : edge.side === 'sell' ? 'Sell' : '-'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                      ${edge.expectedValue.toFixed(4)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-300">
+                      {edge.returnOnRisk === null ? 'N/A' : `${(edge.returnOnRisk * 100).toFixed(1)}%`}
+                    </td>
+                    <td
+                      className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white"
+                      title={size && size.quantity > 0 ? describeSize(size) : undefined}
+                    >
+                      {size && size.quantity > 0 ? (
+                        <>
+                          {size.quantity}
+                          <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">(${size.cost.toFixed(2)})</span>
+                          {size.constraints.includes('max-order-size') && (
+                            <span className="ml-1 text-xs text-yellow-600 dark:text-yellow-400">max</span>
+                          )}
+                        </>
+                      ) : '-'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EdgeFinder;
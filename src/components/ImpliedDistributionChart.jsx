@@ -0,0 +1,137 @@
+import React, { useEffect, useState } from 'react';
+import { Bar } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { impliedDistributionService } from '../services/ImpliedDistributionService';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+const ImpliedDistributionChart = ({ marketId, selectedDate, currentPrice }) => {
+  const [distribution, setDistribution] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const expiryDate = selectedDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+
+    const loadDistribution = async () => {
+      try {
+        const result = await impliedDistributionService.getImpliedDistribution(marketId, expiryDate, {
+          signal: controller.signal
+        });
+        setDistribution(result);
+        setError(null);
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.error('Failed to build implied distribution:', err);
+        setError('Implied distribution unavailable');
+      }
+    };
+
+    loadDistribution();
+    return () => controller.abort();
+  }, [marketId, selectedDate, currentPrice]);
+
+  if (error || !distribution || distribution.bins.length === 0) {
+    return (
+      <div className="flex justify-center items-center h-80 bg-gray-800 rounded-lg">
+        <div className="text-gray-400">{error || 'No option chain available'}</div>
+      </div>
+    );
+  }
+
+  const formatProbability = (value) => `${(value * 100).toFixed(1)}%`;
+
+  const data = {
+    labels: distribution.bins.map(bin => `${(bin.lower * 100).toFixed(0)}-${(bin.upper * 100).toFixed(0)}%`),
+    datasets: [
+      {
+        label: 'Probability',
+        data: distribution.bins.map(bin => bin.probability * 100),
+        backgroundColor: distribution.bins.map(bin =>
+          currentPrice >= bin.lower && currentPrice < bin.upper ? 'rgba(79, 70, 229, 0.8)' : 'rgba(79, 70, 229, 0.4)'
+        ),
+        borderColor: '#4f46e5',
+        borderWidth: 1
+      }
+    ]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: false
+      },
+      title: {
+        display: true,
+        text: 'Implied Distribution at Expiry',
+        color: 'rgba(255, 255, 255, 0.87)',
+        font: {
+          size: 16,
+          weight: 'normal'
+        }
+      },
+      tooltip: {
+        callbacks: {
+          label: function(context) {
+            return `Probability: ${context.parsed.y.toFixed(1)}%`;
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        ticks: {
+          color: 'rgba(255, 255, 255, 0.6)'
+        },
+        grid: {
+          color: 'rgba(255, 255, 255, 0.1)'
+        }
+      },
+      y: {
+        min: 0,
+        ticks: {
+          callback: function(value) {
+            return `${value}%`;
+          },
+          color: 'rgba(255, 255, 255, 0.6)'
+        },
+        grid: {
+          color: 'rgba(255, 255, 255, 0.1)'
+        }
+      }
+    }
+  };
+
+  return (
+    <div className="h-80 bg-gray-800 rounded-lg p-4 flex flex-col">
+      <div className="flex-1 min-h-0">
+        <Bar options={options} data={data} />
+      </div>
+      <div className="mt-2 text-xs text-gray-400 flex flex-wrap gap-3">
+        <span>Mean: <span className="text-gray-200">{formatProbability(distribution.mean)}</span></span>
+        <span>Median: <span className="text-gray-200">{formatProbability(distribution.median)}</span></span>
+        <span>Std dev: <span className="text-gray-200">{formatProbability(distribution.standardDeviation)}</span></span>
+        {distribution.repaired && <span className="text-yellow-400">From repaired quotes</span>}
+      </div>
+    </div>
+  );
+};
+
+export default ImpliedDistributionChart;
@@ -1,10 +1,14 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useMarketData } from '../hooks/useMarketData';
 import OptionChain from './OptionChain';
 import MarketChart from './MarketChart';
+import ImpliedDistributionChart from './ImpliedDistributionChart';
+import VolatilitySettings from './VolatilitySettings';
+import EdgeFinder from './EdgeFinder';
 
 const MarketDetails = ({ marketId, selectedDate }) => {
   const { market, historicalPrices, loading, error, refreshMarket, timeRange, setTimeRange } = useMarketData(marketId);
+  const [volatilitySettings, setVolatilitySettings] = useState(null);
 
   if (loading) {
     return (
@@ -96,11 +100,20 @@ const MarketDetails = ({ marketId, selectedDate }) => {
             </div>
           </div>
           
-          <MarketChart 
-            marketId={marketId} 
-            historicalPrices={historicalPrices || []} 
-            timeRange={timeRange}
-          />
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            <div className="lg:col-span-2">
+              <MarketChart 
+                marketId={marketId} 
+                historicalPrices={historicalPrices || []} 
+                timeRange={timeRange}
+              />
+            </div>
+            <ImpliedDistributionChart
+              marketId={marketId}
+              selectedDate={selectedDate}
+              currentPrice={market.currentPrice || 0}
+            />
+          </div>
         </div>
       </div>
       
@@ -112,12 +125,35 @@ const MarketDetails = ({ marketId, selectedDate }) => {
           <p className="mt-1 max-w-2xl text-sm text-gray-500 dark:text-gray-400">
             Options expire on {selectedDate ? new Date(selectedDate).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }) : 'selected date'}
           </p>
+          <div className="mt-3">
+            <VolatilitySettings marketId={marketId} onChange={setVolatilitySettings} />
+          </div>
         </div>
         
         <OptionChain 
           marketId={marketId} 
           selectedDate={selectedDate} 
           currentPrice={market.currentPrice || 0}
+          marketExpiresAt={market.expiresAt}
+          volatilitySettings={volatilitySettings}
+        />
+      </div>
+
+      <div className="bg-white dark:bg-polyDark rounded-lg shadow-card overflow-hidden">
+        <div className="px-4 py-5 sm:px-6 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white">
+            Edge Finder
+          </h3>
+          <p className="mt-1 max-w-2xl text-sm text-gray-500 dark:text-gray-400">
+            Reprice the chain at your own probability and volatility to find the quotes with the most expected value
+          </p>
+        </div>
+
+        <EdgeFinder
+          marketId={marketId}
+          selectedDate={selectedDate}
+          currentPrice={market.currentPrice || 0}
+          marketExpiresAt={market.expiresAt}
         />
       </div>
     </div>
@@ -1,13 +1,16 @@
-import React, { useEffect, useState } from 'react';
-import { optionsPricingEngine } from '../utils/optionsPricing';
+import React, { useEffect, useRef, useState } from 'react';
+import { pricingClient } from '../utils/pricingClient';
 import { ammInstance } from '../utils/amm';
 import { marketDataService } from '../services/MarketDataService';
 
-const OptionChain = ({ marketId, selectedDate, currentPrice = 0.5 }) => {
+const OptionChain = ({ marketId, selectedDate, currentPrice = 0.5, marketExpiresAt, volatilitySettings }) => {
   const [optionsData, setOptionsData] = useState({ calls: [], puts: [] });
   const [isLoading, setIsLoading] = useState(true);
   const [showFlash, setShowFlash] = useState(false);
   const [error, setError] = useState(null);
+  const [repairQuotes, setRepairQuotes] = useState(false);
+  const [violationCount, setViolationCount] = useState(0);
+  const pricingRequest = useRef(null);
 
   useEffect(() => {
     const initialize = async () => {
@@ -24,7 +27,7 @@ const OptionChain = ({ marketId, selectedDate, currentPrice = 0.5 }) => {
   }, []);
 
   useEffect(() => {
-    // When market ID or date changes, reload options
+    // When market ID, date or volatility estimator changes, reload options
     loadOptions();
     
     // Flash UI for significant changes
@@ -34,32 +37,122 @@ const OptionChain = ({ marketId, selectedDate, currentPrice = 0.5 }) => {
     
     return () => {
       clearInterval(intervalId);
+      pricingRequest.current?.abort(); // Drop pricing work for the old chain
     };
-  }, [marketId, selectedDate, currentPrice]);
+  }, [marketId, selectedDate, currentPrice, marketExpiresAt, volatilitySettings, repairQuotes]);
 
   const loadOptions = async (showLoading = true) => {
     if (showLoading) {
       setIsLoading(true);
     }
+
+    // Only the latest load may update the chain
+    pricingRequest.current?.abort();
+    const controller = new AbortController();
+    pricingRequest.current = controller;
+    const { signal } = controller;
     
     try {
       // Format date for API call
       const expiryDate = selectedDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
       
       // Get options chain from Polymarket API
-      const options = await marketDataService.getOptionsChain(marketId, expiryDate);
-      setOptionsData(options);
+      const quotedChain = await marketDataService.getOptionsChain(marketId, expiryDate);
+
+      // Flag arbitrage in the quotes, repairing them first if requested
+      const validation = await pricingClient.validateOptionChain(quotedChain, {
+        expiry: expiryDate,
+        repair: repairQuotes
+      }, { signal });
+      const options = withViolations(validation.chain, validation.rowViolations);
+      setViolationCount(validation.violations.length);
+
+      const [calls, puts] = await Promise.all([
+        withImpliedVolatility(options.calls, 'call', expiryDate, signal),
+        withImpliedVolatility(options.puts, 'put', expiryDate, signal)
+      ]);
+
+      // Feed the solved vols into the market's volatility surface
+      await pricingClient.calibrateVolatilitySurface(
+        marketId,
+        currentPrice,
+        [...calls, ...puts].map(option => ({
+          strike: option.strike * 100,
+          expiry: expiryDate,
+          impliedVolatility: option.iv
+        })),
+        {},
+        { signal }
+      );
+
+      // Price every strike in a single pass off the chosen volatility estimator.
+      // The calibrated surface would hand each row its own premium back.
+      const strikes = [...new Set([...calls, ...puts].map(option => option.strike * 100))];
+      const chain = await pricingClient.priceChain(marketId, strikes, [expiryDate], {
+        currentPrice,
+        marketExpiresAt,
+        volatilitySource: 'historical'
+      }, { signal });
+      const [modelQuotes] = chain.quotes;
+
+      setOptionsData({
+        calls: withModelQuotes(calls, modelQuotes.calls),
+        puts: withModelQuotes(puts, modelQuotes.puts)
+      });
       setError(null);
     } catch (error) {
+      if (error.name === 'AbortError') return; // Superseded by a newer load
       console.error("Failed to load options:", error);
       setError("Failed to load options. Please try again later.");
     } finally {
-      if (showLoading) {
+      // A silent refresh may have superseded a load that showed the indicator
+      if (!signal.aborted) {
         setIsLoading(false);
       }
     }
   };
 
+  // Rows keep the violations found in their original quotes, even once repaired
+  const withViolations = (chain, rowViolations) => ({
+    calls: (chain.calls || []).map((option, index) => ({ ...option, violations: rowViolations.calls[index] || [] })),
+    puts: (chain.puts || []).map((option, index) => ({ ...option, violations: rowViolations.puts[index] || [] }))
+  });
+
+  // Back out each row's implied volatility from its quoted premium
+  const withImpliedVolatility = (options = [], type, expiryDate, signal) => {
+    return Promise.all(options.map(async option => {
+      const { impliedVolatility } = await pricingClient.getImpliedVolatility({
+        marketId,
+        currentPrice,
+        strike: option.strike * 100, // Strike probability (0-100)
+        expiry: expiryDate,
+        type,
+        marketExpiresAt
+      }, parseFloat(option.premium), { signal });
+
+      return { ...option, iv: impliedVolatility };
+    }));
+  };
+
+  const withModelQuotes = (options, quotes) => {
+    const quotesByStrike = new Map(quotes.map(quote => [quote.strike, quote]));
+
+    return options.map(option => {
+      const quote = quotesByStrike.get(option.strike * 100);
+      if (!quote) return option;
+
+      return { ...option, modelPrice: quote.midPrice, delta: quote.delta };
+    });
+  };
+
+  const formatNumber = (value, digits) => {
+    return value === null || value === undefined ? 'N/A' : Number(value).toFixed(digits);
+  };
+
+  const formatImpliedVolatility = (iv) => {
+    return iv === null || iv === undefined ? 'N/A' : `${(iv * 100).toFixed(1)}%`;
+  };
+
   const handleBuy = (option, type) => {
     try {
       // In a real implementation, this would connect to your trading API
@@ -97,6 +190,17 @@ const OptionChain = ({ marketId, selectedDate, currentPrice = 0.5 }) => {
     return showFlash ? 'bg-yellow-100 dark:bg-yellow-900 transition-colors duration-500' : '';
   };
 
+  // Rows whose quotes break a no-arbitrage relationship are highlighted
+  const getRowClass = (option) => {
+    const flashClass = getPriceClass();
+    if (flashClass || !option.violations || option.violations.length === 0) return flashClass;
+    return 'bg-red-50 dark:bg-red-900/20';
+  };
+
+  const describeViolations = (option) => {
+    return (option.violations || []).map(violation => violation.message).join('\n');
+  };
+
   if (isLoading) {
     return (
       <div className="p-4">
@@ -135,6 +239,22 @@ const OptionChain = ({ marketId, selectedDate, currentPrice = 0.5 }) => {
 
   return (
     <div className="px-4 py-5 sm:p-6 overflow-x-auto">
+      <div className="mb-4 flex flex-wrap items-center justify-between gap-2 text-sm">
+        <span className={violationCount > 0 ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}>
+          {violationCount > 0
+            ? `${violationCount} no-arbitrage violation${violationCount === 1 ? '' : 's'} in the quoted chain`
+            : 'Quoted chain is arbitrage-free'}
+        </span>
+        <label className="flex items-center space-x-2 text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={repairQuotes}
+            onChange={(e) => setRepairQuotes(e.target.checked)}
+          />
+          <span>Repair quotes</span>
+        </label>
+      </div>
+
       {/* CALLS Table */}
       <div className="mb-6">
         <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Calls</h4>
@@ -144,6 +264,7 @@ const OptionChain = ({ marketId, selectedDate, currentPrice = 0.5 }) => {
               <tr>
                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Strike</th>
                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Premium</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Model</th>
                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Delta</th>
                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">IV</th>
                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Actions</th>
@@ -152,18 +273,25 @@ const OptionChain = ({ marketId, selectedDate, currentPrice = 0.5 }) => {
             <tbody className="bg-white dark:bg-polyDark-lighter divide-y divide-gray-200 dark:divide-gray-700">
               {optionsData.calls && optionsData.calls.length > 0 ? (
                 optionsData.calls.map((option, index) => (
-                  <tr key={`call-${index}`} className={getPriceClass()}>
+                  <tr key={`call-${index}`} className={getRowClass(option)} title={describeViolations(option) || undefined}>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">
                       {(option.strike * 100).toFixed(1)}%
+                      {option.violations?.length > 0 && <span className="ml-1 text-red-600 dark:text-red-400">⚠</span>}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-300">
                       ${parseFloat(option.premium).toFixed(4)}
+                      {option.repaired && (
+                        <span className="ml-1 text-xs text-gray-400 line-through">${parseFloat(option.originalPremium).toFixed(4)}</span>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-300">
-                      {option.delta}
+                      {option.modelPrice === undefined ? 'N/A' : `$${formatNumber(option.modelPrice, 4)}`}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-300">
-                      {option.iv || "N/A"}
+                      {formatNumber(option.delta, 3)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-300">
+                      {formatImpliedVolatility(option.iv)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                       <div className="flex space-x-2">
@@ -185,7 +313,7 @@ const OptionChain = ({ marketId, selectedDate, currentPrice = 0.5 }) => {
                 ))
               ) : (
                 <tr>
-                  <td colSpan="5" className="px-6 py-4 text-center text-sm text-gray-500 dark:text-gray-400">
+                  <td colSpan="6" className="px-6 py-4 text-center text-sm text-gray-500 dark:text-gray-400">
                     No call options available
                   </td>
                 </tr>
@@ -204,6 +332,7 @@ const OptionChain = ({ marketId, selectedDate, currentPrice = 0.5 }) => {
               <tr>
                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Strike</th>
                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Premium</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Model</th>
                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Delta</th>
                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">IV</th>
                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Actions</th>
@@ -212,18 +341,25 @@ const OptionChain = ({ marketId, selectedDate, currentPrice = 0.5 }) => {
             <tbody className="bg-white dark:bg-polyDark-lighter divide-y divide-gray-200 dark:divide-gray-700">
               {optionsData.puts && optionsData.puts.length > 0 ? (
                 optionsData.puts.map((option, index) => (
-                  <tr key={`put-${index}`} className={getPriceClass()}>
+                  <tr key={`put-${index}`} className={getRowClass(option)} title={describeViolations(option) || undefined}>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">
                       {(option.strike * 100).toFixed(1)}%
+                      {option.violations?.length > 0 && <span className="ml-1 text-red-600 dark:text-red-400">⚠</span>}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-300">
                       ${parseFloat(option.premium).toFixed(4)}
+                      {option.repaired && (
+                        <span className="ml-1 text-xs text-gray-400 line-through">${parseFloat(option.originalPremium).toFixed(4)}</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-300">
+                      {option.modelPrice === undefined ? 'N/A' : `$${formatNumber(option.modelPrice, 4)}`}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-300">
-                      {option.delta}
+                      {formatNumber(option.delta, 3)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-300">
-                      {option.iv || "N/A"}
+                      {formatImpliedVolatility(option.iv)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                       <div className="flex space-x-2">
@@ -245,7 +381,7 @@ const OptionChain = ({ marketId, selectedDate, currentPrice = 0.5 }) => {
                 ))
               ) : (
                 <tr>
-                  <td colSpan="5" className="px-6 py-4 text-center text-sm text-gray-500 dark:text-gray-400">
+                  <td colSpan="6" className="px-6 py-4 text-center text-sm text-gray-500 dark:text-gray-400">
                     No put options available
                   </td>
                 </tr>
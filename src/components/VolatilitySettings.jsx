@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import { pricingClient } from '../utils/pricingClient';
+
+const VolatilitySettings = ({ marketId, onChange }) => {
+  const [estimators, setEstimators] = useState([]);
+  const [lookbacks, setLookbacks] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [volatility, setVolatility] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    const loadSettings = async () => {
+      try {
+        const available = await pricingClient.getAvailableVolatilityEstimators({ signal });
+        const current = await pricingClient.getMarketVolatilitySettings(marketId, { signal });
+
+        setEstimators(available.estimators);
+        setLookbacks(available.lookbacks);
+        setSettings(current.settings);
+        setVolatility(current.volatility);
+        setError(null);
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.error('Failed to load volatility settings:', err);
+        setError('Volatility settings unavailable');
+      }
+    };
+
+    loadSettings();
+    return () => controller.abort();
+  }, [marketId]);
+
+  const updateSettings = async (changes) => {
+    setIsSaving(true);
+
+    try {
+      const result = await pricingClient.setMarketVolatilitySettings(marketId, changes);
+      setSettings(result.settings);
+      setVolatility(result.volatility);
+      setError(null);
+
+      if (onChange) {
+        onChange(result.settings);
+      }
+    } catch (err) {
+      console.error('Failed to update volatility settings:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Move to the shortest offered lookback the new estimator can fit on
+  const changeEstimator = (estimatorId) => {
+    const estimator = estimators.find(candidate => candidate.id === estimatorId);
+    const changes = { estimator: estimatorId };
+
+    if (estimator && settings.lookbackDays < estimator.minLookbackDays) {
+      const lookbackDays = lookbacks.find(days => days >= estimator.minLookbackDays);
+      if (lookbackDays !== undefined) {
+        changes.lookbackDays = lookbackDays;
+      }
+    }
+
+    updateSettings(changes);
+  };
+
+  if (!settings) {
+    return error ? <p className="text-xs text-red-600 dark:text-red-400">{error}</p> : null;
+  }
+
+  const minLookbackDays = estimators.find(estimator => estimator.id === settings.estimator)?.minLookbackDays ?? 0;
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm">
+      <label className="flex items-center space-x-2">
+        <span className="font-medium text-gray-700 dark:text-gray-300">Volatility:</span>
+        <select
+          value={settings.estimator}
+          disabled={isSaving}
+          onChange={(e) => changeEstimator(e.target.value)}
+          className="p-1 text-xs border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+        >
+          {estimators.map((estimator) => (
+            <option key={estimator.id} value={estimator.id}>
+              {estimator.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className="flex items-center space-x-2">
+        <span className="font-medium text-gray-700 dark:text-gray-300">Lookback:</span>
+        <div className="flex rounded-md shadow-sm" role="group">
+          {lookbacks.map((days, index) => (
+            <button
+              key={days}
+              type="button"
+              disabled={isSaving || days < minLookbackDays}
+              title={days < minLookbackDays ? `Needs at least ${minLookbackDays} days of history` : undefined}
+              className={`py-1 px-3 text-xs font-medium transition-colors duration-150 ${
+                settings.lookbackDays === days
+                  ? 'bg-polyIndigo-600 dark:bg-polyIndigo-700 text-white'
+                  : 'bg-white dark:bg-polyDark-lighter text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700'
+              } ${days < minLookbackDays ? 'opacity-50 cursor-not-allowed' : ''} ${index === 0 ? 'rounded-l-md' : ''} ${index === lookbacks.length - 1 ? 'rounded-r-md' : ''}`}
+              onClick={() => updateSettings({ lookbackDays: days })}
+            >
+              {days}d
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="text-gray-500 dark:text-gray-400">
+        Estimate: <span className="font-semibold">{volatility === null ? 'N/A' : `${(volatility * 100).toFixed(1)}%`}</span>
+      </div>
+
+      <p className="w-full text-xs text-gray-500 dark:text-gray-400">
+        Prices the chain's Model column. Elsewhere, such as portfolio marks and the edge finder, markets whose quotes have calibrated an implied volatility surface are priced off that surface instead.
+      </p>
+
+      {error && <span className="text-xs text-red-600 dark:text-red-400">{error}</span>}
+    </div>
+  );
+};
+
+export default VolatilitySettings;
@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback } from 'react';
 import { marketDataService } from '../services/MarketDataService';
+import { pricingClient } from '../utils/pricingClient';
 
 export function useMarketData(marketId) {
   const [market, setMarket] = useState(null);
@@ -47,6 +48,19 @@ export function useMarketData(marketId) {
     }
   }, [marketId, fetchMarketData, fetchHistoricalPrices, timeRange]);
 
+  // Record the market's ticks into history while it is on screen
+  useEffect(() => {
+    if (!marketId) return;
+
+    pricingClient.startMonitoring(marketId)
+      .catch(err => console.error('Error starting market monitoring:', err));
+
+    return () => {
+      pricingClient.stopMonitoring(marketId)
+        .catch(err => console.error('Error stopping market monitoring:', err));
+    };
+  }, [marketId]);
+
   // Set up polling for price updates
   useEffect(() => {
     if (!marketId) return;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useUser } from '@clerk/clerk-react';
 import { createClient } from '@supabase/supabase-js';
+import { pricingClient } from '../utils/pricingClient';
 
 // Initialize Supabase client with environment variables
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
@@ -14,6 +15,7 @@ const DatabaseSetup = () => {
   const [userCreated, setUserCreated] = useState(false);
   const [message, setMessage] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState('checking');
+  const [historyStatus, setHistoryStatus] = useState(null);
 
   useEffect(() => {
     if (isLoaded && user) {
@@ -22,6 +24,20 @@ const DatabaseSetup = () => {
     }
   }, [isLoaded, user]);
 
+  useEffect(() => {
+    const controller = new AbortController();
+
+    pricingClient.getHistoricalDataMigrationStatus({ signal: controller.signal })
+      .then(setHistoryStatus)
+      .catch(error => {
+        if (error.name === 'AbortError') return;
+        console.error('Failed to read local history database status:', error);
+        setHistoryStatus({ state: 'failed', error: error.message, history: [] });
+      });
+
+    return () => controller.abort();
+  }, []);
+
   const checkSupabaseConnection = async () => {
     try {
       // Test the connection by getting the list of tables
@@ -256,6 +272,50 @@ const DatabaseSetup = () => {
             </div>
           )}
         </div>
+
+        {/* Local History Database */}
+        <div className="mb-8">
+          <h2 className="text-lg font-semibold mb-2 text-gray-800 dark:text-gray-200">Local History Database</h2>
+
+          {!historyStatus ? (
+            <p className="text-gray-700 dark:text-gray-300">Checking local database...</p>
+          ) : (
+            <>
+              <div className="flex items-center mb-2">
+                <div className={`h-3 w-3 rounded-full mr-2 ${
+                  historyStatus.state === 'ready' ? 'bg-green-500' :
+                  historyStatus.state === 'failed' ? 'bg-red-500' :
+                  'bg-yellow-400'
+                }`}></div>
+                <span className="text-gray-700 dark:text-gray-300">
+                  {historyStatus.state === 'ready' && historyStatus.storage !== 'indexeddb' ? `Using ${historyStatus.storage} storage` :
+                   historyStatus.state === 'ready' ? `Schema version ${historyStatus.version} of ${historyStatus.latestVersion}` :
+                   historyStatus.state === 'blocked' ? 'Upgrade waiting for other tabs to close' :
+                   historyStatus.state === 'failed' ? `Migration failed: ${historyStatus.error}` :
+                   'Upgrading...'}
+                </span>
+              </div>
+
+              {historyStatus.history.length > 0 && (
+                <div className="bg-white dark:bg-polyDark-lighter rounded-lg border border-gray-200 dark:border-gray-700 overflow-hidden">
+                  <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {historyStatus.history.map(migration => (
+                      <li key={migration.version} className="px-4 py-3 flex justify-between text-sm">
+                        <span className="text-gray-700 dark:text-gray-300">
+                          <span className="font-mono mr-2">v{migration.version}</span>
+                          {migration.description}
+                        </span>
+                        <span className="text-gray-500 dark:text-gray-400">
+                          {new Date(migration.appliedAt).toLocaleString()}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+        </div>
       </div>
     </div>
   );
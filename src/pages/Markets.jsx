@@ -69,6 +69,15 @@ const Markets = () => {
     setSelectedDate(e.target.value);
   };
 
+  // Listings are capped at the selected market's resolution date while it is still open
+  const selectedMarketData = markets.find(m => m.id === selectedMarket);
+  const resolutionValue = selectedMarketData?.expiresAt
+    ? selectedMarketData.expiresAt.split('T')[0]
+    : null;
+  const resolutionDate = resolutionValue && resolutionValue >= new Date().toISOString().split('T')[0]
+    ? resolutionValue
+    : null;
+
   // Generate dates for the dropdown
   const generateExpiryDates = () => {
     const dates = [];
@@ -111,9 +120,31 @@ const Markets = () => {
       label: `${year} Year-End`
     });
     
+    // Options cannot outlive the market they are written on
+    if (resolutionDate) {
+      const resolution = new Date(selectedMarketData.expiresAt);
+      const cappedDates = dates.filter(date => date.value < resolutionDate);
+      cappedDates.push({
+        value: resolutionDate,
+        label: `${resolution.toLocaleDateString('en-US', {
+          year: 'numeric',
+          month: 'short',
+          day: 'numeric'
+        })} (Market Resolution)`
+      });
+      return cappedDates.sort((a, b) => a.value.localeCompare(b.value));
+    }
+    
     return dates.sort((a, b) => a.value.localeCompare(b.value));
   };
 
+  // Pull the selected expiry back inside the newly selected market's lifetime
+  useEffect(() => {
+    if (resolutionDate && selectedDate > resolutionDate) {
+      setSelectedDate(resolutionDate);
+    }
+  }, [resolutionDate, selectedDate]);
+
   return (
     <div className="w-full py-8">
       <h1 className="text-2xl font-bold mb-6">Markets</h1>
@@ -1,8 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { useUser } from '@clerk/clerk-react';
 import { ammInstance } from '../utils/amm';
 import { marketDataService } from '../services/MarketDataService';
+import { pricingClient } from '../utils/pricingClient';
 
 const Portfolio = () => {
   const { user, isLoaded, isSignedIn } = useUser();
@@ -10,6 +11,7 @@ const Portfolio = () => {
   const [loading, setLoading] = useState(true);
   const [portfolioValue, setPortfolioValue] = useState(0);
   const [pnl, setPnl] = useState(0);
+  const pricingRequest = useRef(null);
 
   useEffect(() => {
     // Only load portfolio if user is authenticated
@@ -21,7 +23,10 @@ const Portfolio = () => {
         loadPortfolio(false); // Don't show loading indicator for auto-refresh
       }, 30000);
       
-      return () => clearInterval(intervalId);
+      return () => {
+        clearInterval(intervalId);
+        pricingRequest.current?.abort();
+      };
     } else if (isLoaded && !isSignedIn) {
       // If user is not signed in but auth has loaded, set loading to false
       setLoading(false);
@@ -32,6 +37,10 @@ const Portfolio = () => {
     if (showLoading) {
       setLoading(true);
     }
+
+    pricingRequest.current?.abort();
+    const controller = new AbortController();
+    pricingRequest.current = controller;
     
     try {
       // In a real app, this would come from a backend service using the user ID
@@ -60,15 +69,21 @@ const Portfolio = () => {
         })
       );
       
-      setPositions(positionsWithMarketData);
+      // Mark positions to model in the pricing worker
+      const pricedPositions = await Promise.all(
+        positionsWithMarketData.map(position => markToModel(position, controller.signal))
+      );
+      
+      setPositions(pricedPositions);
       
       // Calculate portfolio value and P&L
-      const value = positionsWithMarketData.reduce((total, pos) => total + pos.currentValue, 0);
-      const profitLoss = positionsWithMarketData.reduce((total, pos) => total + (pos.currentValue - pos.costBasis), 0);
+      const value = pricedPositions.reduce((total, pos) => total + pos.currentValue, 0);
+      const profitLoss = pricedPositions.reduce((total, pos) => total + (pos.currentValue - pos.costBasis), 0);
       
       setPortfolioValue(value);
       setPnl(profitLoss);
     } catch (error) {
+      if (error.name === 'AbortError') return; // Superseded by a newer load
       console.error("Failed to load portfolio:", error);
     } finally {
       if (showLoading) {
@@ -77,6 +92,32 @@ const Portfolio = () => {
     }
   };
 
+  const markToModel = async (position, signal) => {
+    if (!position.expiryDate) {
+      return position;
+    }
+
+    try {
+      const price = await pricingClient.getPriceForOption({
+        marketId: position.marketId,
+        currentPrice: position.currentMarketPrice,
+        strike: position.strike * 100, // Strike probability (0-100)
+        expiry: position.expiryDate,
+        type: position.optionType.toLowerCase()
+      }, { signal });
+
+      return {
+        ...position,
+        currentPrice: price.midPrice,
+        currentValue: position.quantity * price.midPrice
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.error(`Failed to price position ${position.id}:`, error);
+      return position;
+    }
+  };
+
   const handleClosePosition = async (positionId) => {
     try {
       const userId = user?.id || 'demo-user';
@@ -0,0 +1,136 @@
+/**
+ * Service for the risk-neutral distribution implied by a market's option chain
+ * A binary call struck at K is worth DF * P(p_T > K), so the chain gives the
+ * survival function of the probability at expiry directly, and its slope across
+ * strikes gives the density
+ */
+
+import { marketDataService } from './MarketDataService';
+import { pricingClient } from '../utils/pricingClient';
+
+class ImpliedDistributionService {
+  /**
+   * Build the implied distribution of a market's probability at an expiry
+   * The quoted chain is repaired first so the density is never negative
+   * @param {string} marketId - Market ID
+   * @param {string} expiryDate - Option expiry date
+   * @param {Object} options - Optional { signal } to cancel the request
+   * @returns {Promise<Object>} Distribution with bins, CDF points and summary statistics
+   */
+  async getImpliedDistribution(marketId, expiryDate, { signal } = {}) {
+    const chain = await marketDataService.getOptionsChain(marketId, expiryDate);
+    const validation = await pricingClient.validateOptionChain(chain, {
+      expiry: expiryDate,
+      repair: true
+    }, { signal });
+
+    return {
+      marketId,
+      expiryDate,
+      repaired: !validation.valid,
+      ...this.buildDistribution(validation.chain, validation.discountFactor)
+    };
+  }
+
+  /**
+   * Build the distribution from an arbitrage-free chain
+   * @param {Object} chain - { calls, puts } with strikes as probabilities (0-1)
+   * @param {number} discountFactor - Discount factor to the chain's expiry
+   * @returns {Object} { bins, cdf, mean, standardDeviation, median, quantiles }
+   */
+  buildDistribution(chain, discountFactor = 1) {
+    const cdf = this.buildCdf(chain, discountFactor);
+
+    // Probability mass between adjacent strikes, spread evenly across the interval
+    const bins = [];
+    for (let i = 1; i < cdf.length; i++) {
+      const lower = cdf[i - 1];
+      const upper = cdf[i];
+      const probability = Math.max(0, upper.cumulative - lower.cumulative);
+      if (upper.strike <= lower.strike) continue;
+
+      bins.push({
+        lower: lower.strike,
+        upper: upper.strike,
+        probability,
+        density: probability / (upper.strike - lower.strike)
+      });
+    }
+
+    const mean = bins.reduce((sum, bin) => sum + bin.probability * (bin.lower + bin.upper) / 2, 0);
+
+    // Uniform mass within each bin adds its own width to the variance
+    const variance = bins.reduce((sum, bin) => {
+      const midpoint = (bin.lower + bin.upper) / 2;
+      const width = bin.upper - bin.lower;
+      return sum + bin.probability * (Math.pow(midpoint - mean, 2) + width * width / 12);
+    }, 0);
+
+    return {
+      bins,
+      cdf,
+      mean,
+      standardDeviation: Math.sqrt(variance),
+      median: this.getQuantile(cdf, 0.5),
+      quantiles: [0.05, 0.25, 0.75, 0.95].map(level => ({ level, value: this.getQuantile(cdf, level) })),
+      discountFactor
+    };
+  }
+
+  /**
+   * Cumulative distribution at each quoted strike, anchored at 0 and 1
+   * Calls give P(p_T > K) = C / DF and puts give P(p_T < K) = P / DF; both are averaged
+   * @param {Object} chain - { calls, puts } with strikes as probabilities (0-1)
+   * @param {number} discountFactor - Discount factor to the chain's expiry
+   * @returns {Array} Points { strike, cumulative } sorted by strike
+   */
+  buildCdf(chain, discountFactor) {
+    const byStrike = new Map(); // Strike -> { total, count } of cumulative estimates
+    const addEstimate = (strike, cumulative) => {
+      if (!Number.isFinite(strike) || !Number.isFinite(cumulative) || strike <= 0 || strike >= 1) return;
+      const entry = byStrike.get(strike) || { total: 0, count: 0 };
+      entry.total += Math.min(1, Math.max(0, cumulative));
+      entry.count += 1;
+      byStrike.set(strike, entry);
+    };
+
+    for (const call of chain.calls || []) {
+      addEstimate(Number(call.strike), 1 - parseFloat(call.premium) / discountFactor);
+    }
+    for (const put of chain.puts || []) {
+      addEstimate(Number(put.strike), parseFloat(put.premium) / discountFactor);
+    }
+
+    const points = Array.from(byStrike, ([strike, { total, count }]) => ({ strike, cumulative: total / count }))
+      .sort((a, b) => a.strike - b.strike);
+
+    // Keep the CDF non-decreasing even if the chain was not fully repaired
+    let running = 0;
+    for (const point of points) {
+      running = Math.max(running, point.cumulative);
+      point.cumulative = running;
+    }
+
+    return [{ strike: 0, cumulative: 0 }, ...points, { strike: 1, cumulative: 1 }];
+  }
+
+  /**
+   * Probability level at which the CDF reaches a given quantile
+   * @param {Array} cdf - Points { strike, cumulative } sorted by strike
+   * @param {number} level - Quantile between 0 and 1
+   * @returns {number} Probability (0-1)
+   */
+  getQuantile(cdf, level) {
+    const upperIndex = cdf.findIndex(point => point.cumulative >= level);
+    if (upperIndex <= 0) return cdf[Math.max(0, upperIndex)].strike;
+
+    const lower = cdf[upperIndex - 1];
+    const upper = cdf[upperIndex];
+    const weight = (level - lower.cumulative) / (upper.cumulative - lower.cumulative);
+
+    return lower.strike + (upper.strike - lower.strike) * weight;
+  }
+}
+
+// Create and export a singleton instance
+export const impliedDistributionService = new ImpliedDistributionService();
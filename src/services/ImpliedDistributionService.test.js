@@ -0,0 +1,68 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { impliedDistributionService } from './ImpliedDistributionService';
+import { marketDataService } from './MarketDataService';
+
+const strikes = [0.1, 0.3, 0.5, 0.7, 0.9];
+const totalProbability = (bins) => bins.reduce((sum, bin) => sum + bin.probability, 0);
+const expectMonotone = (cdf) => {
+  for (let i = 1; i < cdf.length; i++) {
+    expect(cdf[i].strike).toBeGreaterThan(cdf[i - 1].strike);
+    expect(cdf[i].cumulative).toBeGreaterThanOrEqual(cdf[i - 1].cumulative);
+  }
+};
+
+describe('ImpliedDistributionService', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('recovers a uniform distribution from its binary prices', () => {
+    const discountFactor = 0.98;
+    // A uniform outcome finishes above K with probability 1 - K
+    const chain = {
+      calls: strikes.map(strike => ({ strike, premium: String(discountFactor * (1 - strike)) })),
+      puts: strikes.map(strike => ({ strike, premium: String(discountFactor * strike) }))
+    };
+
+    const distribution = impliedDistributionService.buildDistribution(chain, discountFactor);
+
+    distribution.cdf.forEach(point => expect(point.cumulative).toBeCloseTo(point.strike, 12));
+    expect(totalProbability(distribution.bins)).toBeCloseTo(1, 12);
+    expect(distribution.mean).toBeCloseTo(0.5, 12);
+    expect(distribution.standardDeviation).toBeCloseTo(Math.sqrt(1 / 12), 12);
+    expect(distribution.median).toBeCloseTo(0.5, 12);
+    expect(distribution.quantiles.map(quantile => quantile.value)).toEqual(
+      [0.05, 0.25, 0.75, 0.95].map(level => expect.closeTo(level, 12))
+    );
+  });
+
+  it('keeps the CDF anchored, monotone and normalized for an unrepaired chain', () => {
+    // Calls that rise with the strike would imply negative mass
+    const chain = {
+      calls: [{ strike: 0.3, premium: '0.6' }, { strike: 0.5, premium: '0.7' }, { strike: 0.7, premium: '0.2' }],
+      puts: []
+    };
+
+    const { cdf, bins } = impliedDistributionService.buildDistribution(chain);
+
+    expect(cdf[0]).toEqual({ strike: 0, cumulative: 0 });
+    expect(cdf[cdf.length - 1]).toEqual({ strike: 1, cumulative: 1 });
+    expectMonotone(cdf);
+    expect(bins.every(bin => bin.probability >= 0 && bin.density >= 0)).toBe(true);
+    expect(totalProbability(bins)).toBeCloseTo(1, 12);
+  });
+
+  it('repairs the quoted chain before building the distribution', async () => {
+    vi.spyOn(marketDataService, 'getOptionsChain').mockResolvedValue({
+      calls: strikes.map((strike, i) => ({ strike, premium: ['0.9', '0.6', '0.65', '0.3', '0.05'][i] })),
+      puts: strikes.map((strike, i) => ({ strike, premium: ['0.1', '0.4', '0.35', '0.7', '0.95'][i] }))
+    });
+
+    const expiry = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+    const distribution = await impliedDistributionService.getImpliedDistribution('m', expiry);
+
+    expect(distribution.repaired).toBe(true);
+    expectMonotone(distribution.cdf);
+    expect(totalProbability(distribution.bins)).toBeCloseTo(1, 12);
+  });
+});
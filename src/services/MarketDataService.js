@@ -1,5 +1,6 @@
 import { ammInstance } from '../utils/amm';
 import { polymarketService } from './PolymarketService';
+import { pricingClient } from '../utils/pricingClient';
 
 class MarketDataService {
   constructor() {
@@ -169,7 +170,7 @@ class MarketDataService {
    * Generate mock historical data when API is unavailable
    * @param {string} marketId - Market ID
    * @param {string} timeRange - Time range
-   * @returns {Array} Generated historical data
+   * @returns {Array} Generated historical data, each point flagged generated
    */
   generateMockHistoricalData(marketId, timeRange) {
     const now = new Date();
@@ -194,14 +195,16 @@ class MarketDataService {
       
       data.push({
         timestamp: date.getTime(),
-        price
+        price,
+        generated: true
       });
     }
     
     // Ensure the last point is the current price
     data.push({
       timestamp: now.getTime(),
-      price: currentPrice
+      price: currentPrice,
+      generated: true
     });
     
     return data;
@@ -224,6 +227,63 @@ class MarketDataService {
     }
   }
 
+  /**
+   * Price a spread or relative-value binary on two markets at their current prices
+   * @param {string} marketIdA - First market ID
+   * @param {string} marketIdB - Second market ID
+   * @param {Object} optionDetails - { type, strike, expiry } and optional { correlation, rateCurve }
+   * @param {Object} options - Optional { signal } to cancel the pricing request
+   * @returns {Promise<Object>} Spread option quote with the correlation used
+   */
+  async getSpreadOptionQuote(marketIdA, marketIdB, optionDetails, options) {
+    const [marketA, marketB] = await Promise.all([
+      this.getMarketById(marketIdA),
+      this.getMarketById(marketIdB)
+    ]);
+
+    if (!marketA || !marketB) {
+      throw new Error(`Unknown market: ${!marketA ? marketIdA : marketIdB}`);
+    }
+
+    return pricingClient.priceSpreadOption({
+      ...optionDetails,
+      marketIdA,
+      marketIdB,
+      currentPriceA: marketA.currentPrice,
+      currentPriceB: marketB.currentPrice,
+      marketExpiresAtA: marketA.expiresAt,
+      marketExpiresAtB: marketB.expiresAt
+    }, options);
+  }
+
+  /**
+   * Price a binary on one outcome of a multi-outcome market at its current outcome probabilities
+   * @param {string} marketId - Market ID
+   * @param {Object} optionDetails - { outcome, type, strike, expiry } and optional { paths, seed, rateCurve }
+   * @param {Object} options - Optional { signal } to cancel the pricing request
+   * @returns {Promise<Object>} Option quote with the normalized outcome vector
+   */
+  async getCategoricalOptionQuote(marketId, optionDetails, options) {
+    const market = await this.getMarketById(marketId);
+
+    if (!market) {
+      throw new Error(`Unknown market: ${marketId}`);
+    }
+
+    // Markets without an outcome vector are binary
+    const outcomes = market.outcomes || [
+      { name: 'Yes', probability: market.currentPrice },
+      { name: 'No', probability: 1 - market.currentPrice }
+    ];
+
+    return pricingClient.priceCategoricalOption({
+      ...optionDetails,
+      marketId,
+      outcomes,
+      marketExpiresAt: market.expiresAt
+    }, options);
+  }
+
   /**
    * Generate mock options chain when API is unavailable
    * @param {string} marketId - Market ID
@@ -255,8 +315,7 @@ class MarketDataService {
         strike,
         premium: premium.toFixed(4),
         delta: Math.min(1, Math.max(0, 1 - (strike / currentPrice))).toFixed(2),
-        gamma: (Math.random() * 0.2).toFixed(3),
-        iv: (0.3 + Math.random() * 0.4).toFixed(2)
+        gamma: (Math.random() * 0.2).toFixed(3)
       };
     });
     
@@ -268,8 +327,7 @@ class MarketDataService {
         strike,
         premium: premium.toFixed(4),
         delta: Math.min(1, Math.max(0, (strike / currentPrice) - 0.5)).toFixed(2),
-        gamma: (Math.random() * 0.2).toFixed(3),
-        iv: (0.3 + Math.random() * 0.4).toFixed(2)
+        gamma: (Math.random() * 0.2).toFixed(3)
       };
     });
     
@@ -25,7 +25,7 @@ class PolymarketService {
    * @returns {Array} Mock market data
    */
   createMockMarkets() {
-    return [
+    const markets = [
       {
         id: 'btc-price-30k-june',
         name: 'Will BTC be above $30,000 on June 30, 2025?',
@@ -91,8 +91,31 @@ class PolymarketService {
         category: 'Politics',
         polymarketId: 'seaair-ceasefire-in-ukraine-before-may',
         description: 'This market resolves to "Yes" if there is a formal ceasefire agreement between Ukraine and Russia that is in effect before May 1, 2025, and "No" otherwise.'
+      },
+      {
+        id: 'fed-decision-september',
+        name: 'Fed decision in September 2025?',
+        currentPrice: 0.48,
+        outcomes: [
+          { name: 'Cut 50bp', probability: 0.12 },
+          { name: 'Cut 25bp', probability: 0.48 },
+          { name: 'No change', probability: 0.36 },
+          { name: 'Hike', probability: 0.04 }
+        ],
+        liquidity: 950000,
+        volume24h: 140000,
+        expiresAt: '2025-09-17T23:59:59Z',
+        category: 'Economics',
+        description: 'Market resolves to the outcome matching the change in the federal funds target rate announced at the September 2025 FOMC meeting.',
+        polymarketId: 'fed-decision-in-september'
       }
     ];
+
+    // Binary markets are the two-outcome case of the probability vector
+    return markets.map(market => ({
+      ...market,
+      outcomes: market.outcomes || this.createBinaryOutcomes(market.currentPrice)
+    }));
   }
 
   /**
@@ -138,17 +161,7 @@ class PolymarketService {
     try {
       // If we have markets data, format it
       if (data && data.markets && Array.isArray(data.markets)) {
-        return data.markets.map(market => ({
-          id: market.id || market.slug,
-          name: market.question || market.title,
-          currentPrice: market.yes_price || market.probabilityOfYes || 0.5,
-          liquidity: market.liquidity || 1000000,
-          volume24h: market.volume24h || 100000,
-          expiresAt: market.closeTime || market.expiresAt || new Date().toISOString(),
-          category: market.category || 'Uncategorized',
-          description: market.description || 'No description available.',
-          polymarketId: market.slug || market.id
-        }));
+        return data.markets.map(market => this.formatMarket(market));
       }
       
       // If data format is unexpected, return mock data
@@ -159,6 +172,82 @@ class PolymarketService {
     }
   }
 
+  /**
+   * Format one raw API market into the standardized format
+   * @param {Object} market - Raw API market
+   * @returns {Object} Formatted market data
+   */
+  formatMarket(market) {
+    const outcomes = this.formatOutcomes(market);
+    const currentPrice = market.yes_price || market.probabilityOfYes || outcomes?.[0].probability || 0.5;
+
+    return {
+      id: market.id || market.slug,
+      name: market.question || market.title,
+      currentPrice,
+      outcomes: outcomes || this.createBinaryOutcomes(currentPrice),
+      liquidity: market.liquidity || 1000000,
+      volume24h: market.volume24h || 100000,
+      expiresAt: market.closeTime || market.expiresAt || new Date().toISOString(),
+      category: market.category || 'Uncategorized',
+      description: market.description || 'No description available.',
+      polymarketId: market.slug || market.id
+    };
+  }
+
+  /**
+   * Build a market's outcome probability vector, normalized to sum to 1
+   * Reads outcomes/outcomePrices (which the API may send as JSON strings) or tokens
+   * @param {Object} market - Raw API market
+   * @returns {Array|null} Outcomes as { name, probability }, or null if the market has none
+   */
+  formatOutcomes(market) {
+    const parseList = (value) => {
+      if (Array.isArray(value)) return value;
+      try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+      } catch (error) {
+        return [];
+      }
+    };
+
+    let outcomes = [];
+    if (market.outcomes && market.outcomePrices) {
+      const prices = parseList(market.outcomePrices);
+      outcomes = parseList(market.outcomes).map((name, index) => ({
+        name: String(name),
+        probability: parseFloat(prices[index])
+      }));
+    } else if (Array.isArray(market.tokens)) {
+      outcomes = market.tokens.map(token => ({
+        name: token.outcome,
+        probability: parseFloat(token.price)
+      }));
+    }
+
+    const validOutcomes = outcomes.filter(outcome => Number.isFinite(outcome.probability) && outcome.probability >= 0);
+    const total = validOutcomes.reduce((sum, outcome) => sum + outcome.probability, 0);
+
+    if (validOutcomes.length < 2 || validOutcomes.length !== outcomes.length || total <= 0) {
+      return null;
+    }
+
+    return validOutcomes.map(outcome => ({ ...outcome, probability: outcome.probability / total }));
+  }
+
+  /**
+   * Outcome vector of a binary market
+   * @param {number} currentPrice - YES probability (0-1)
+   * @returns {Array} YES and NO outcomes as { name, probability }
+   */
+  createBinaryOutcomes(currentPrice) {
+    return [
+      { name: 'Yes', probability: currentPrice },
+      { name: 'No', probability: 1 - currentPrice }
+    ];
+  }
+
   /**
    * Fetches a specific market by ID
    * @param {string} marketId - The market ID
@@ -181,9 +270,9 @@ class PolymarketService {
       const data = await response.json();
       return this.formatMarketData(data);
     } catch (error) {
-      // Find the matching mock market or return the first one
+      // Find the matching mock market or return the first one, flagged as generated
       const market = this.mockMarkets.find(m => m.id === marketId || m.polymarketId === marketId);
-      return market || this.mockMarkets[0];
+      return { ...(market || this.mockMarkets[0]), generated: true };
     }
   }
 
@@ -195,23 +284,12 @@ class PolymarketService {
   formatMarketData(data) {
     try {
       if (data && data.market) {
-        const market = data.market;
-        return {
-          id: market.id || market.slug,
-          name: market.question || market.title,
-          currentPrice: market.yes_price || market.probabilityOfYes || 0.5,
-          liquidity: market.liquidity || 1000000,
-          volume24h: market.volume24h || 100000,
-          expiresAt: market.closeTime || market.expiresAt || new Date().toISOString(),
-          category: market.category || 'Uncategorized',
-          description: market.description || 'No description available.',
-          polymarketId: market.slug || market.id
-        };
+        return this.formatMarket(data.market);
       }
       
-      return this.mockMarkets[0];
+      return { ...this.mockMarkets[0], generated: true };
     } catch (error) {
-      return this.mockMarkets[0];
+      return { ...this.mockMarkets[0], generated: true };
     }
   }
 
@@ -219,7 +297,7 @@ class PolymarketService {
    * Fetches historical prices for a market
    * @param {string} marketId - The market ID
    * @param {string} timeRange - Time range for historical data (e.g., '7d', '30d')
-   * @returns {Promise<Array>} Array of historical price data points
+   * @returns {Promise<Array>} Array of historical price data points; generated points carry generated: true
    */
   async getHistoricalPrices(marketId, timeRange = '30d') {
     // For historical data, we'll use mock data
@@ -230,7 +308,7 @@ class PolymarketService {
    * Generates mock historical price data
    * @param {string} marketId - The market ID
    * @param {string} timeRange - Time range (e.g., '7d', '30d')
-   * @returns {Array} Array of mock historical price data points
+   * @returns {Array} Array of mock historical price data points, each flagged generated
    */
   generateMockHistoricalData(marketId, timeRange) {
     const now = new Date();
@@ -258,7 +336,8 @@ class PolymarketService {
       
       dataPoints.push({
         timestamp: date.getTime(),
-        price: clampedPrice
+        price: clampedPrice,
+        generated: true
       });
     }
     
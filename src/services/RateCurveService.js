@@ -0,0 +1,157 @@
+/**
+ * Service for discount rates used by the pricing engine
+ * Holds named tenor curves (USD risk-free and USDC lending) and interpolates them by time to expiry
+ */
+
+// Built-in curves, used until a config file has been loaded. Tenors are in years.
+export const DEFAULT_RATE_CURVES = {
+  activeCurve: 'usd-risk-free',
+  curves: {
+    'usd-risk-free': [
+      { tenor: 1 / 12, rate: 0.0525 },
+      { tenor: 0.25, rate: 0.052 },
+      { tenor: 0.5, rate: 0.051 },
+      { tenor: 1, rate: 0.049 },
+      { tenor: 2, rate: 0.046 }
+    ],
+    'usdc-lending': [
+      { tenor: 1 / 12, rate: 0.048 },
+      { tenor: 0.25, rate: 0.047 },
+      { tenor: 1, rate: 0.045 }
+    ]
+  }
+};
+
+class RateCurveService {
+  constructor() {
+    this.curves = new Map();
+    this.activeCurve = null;
+    this.configUrl = '/rate-curves.json';
+    this.initialized = false;
+
+    this.loadFromConfig(DEFAULT_RATE_CURVES);
+  }
+
+  /**
+   * Load curves from the JSON config file, keeping the built-in curves if it is unavailable
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await this.loadFromFile(this.configUrl);
+      console.log('RateCurveService initialized from config file');
+    } catch (error) {
+      console.log('Note: Using built-in rate curves since no rate curve config could be loaded');
+    }
+
+    this.initialized = true;
+  }
+
+  /**
+   * Fetch and load a rate curve JSON file
+   * @param {string} url - Location of the JSON file
+   * @returns {Promise<Array>} Names of the loaded curves
+   */
+  async loadFromFile(url) {
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Error fetching rate curves: ${response.statusText}`);
+    }
+
+    return this.loadFromConfig(await response.json());
+  }
+
+  /**
+   * Load curves from a config object
+   * @param {Object} config - { activeCurve, curves: { name: [{ tenor, rate }] } }
+   * @returns {Array} Names of the loaded curves
+   */
+  loadFromConfig(config) {
+    if (!config || typeof config.curves !== 'object') {
+      throw new Error('Rate curve config must contain a curves object');
+    }
+
+    const loaded = [];
+    for (const [name, points] of Object.entries(config.curves)) {
+      this.setCurve(name, points);
+      loaded.push(name);
+    }
+
+    if (config.activeCurve) {
+      this.setActiveCurve(config.activeCurve);
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Add or replace a named curve
+   * @param {string} name - Curve name
+   * @param {Array} points - Tenor points as { tenor (years), rate }
+   */
+  setCurve(name, points) {
+    const validPoints = (points || [])
+      .filter(point => Number.isFinite(point.tenor) && point.tenor >= 0 && Number.isFinite(point.rate))
+      .sort((a, b) => a.tenor - b.tenor);
+
+    if (validPoints.length === 0) {
+      throw new Error(`Rate curve ${name} has no valid tenor points`);
+    }
+
+    this.curves.set(name, validPoints);
+  }
+
+  /**
+   * Select the curve used when no curve is requested explicitly
+   * @param {string} name - Curve name
+   */
+  setActiveCurve(name) {
+    if (!this.curves.has(name)) {
+      throw new Error(`Unknown rate curve: ${name}`);
+    }
+
+    this.activeCurve = name;
+  }
+
+  /**
+   * Get the names of all available curves
+   * @returns {Array} Curve names
+   */
+  getCurveNames() {
+    return Array.from(this.curves.keys());
+  }
+
+  /**
+   * Get the interpolated rate for a tenor
+   * @param {number} timeToExpiry - Tenor in years
+   * @param {string} curveName - Optional curve name, defaults to the active curve
+   * @returns {number} Annualized continuously compounded rate
+   */
+  getRate(timeToExpiry, curveName = this.activeCurve) {
+    const points = this.curves.get(curveName);
+    if (!points) {
+      throw new Error(`Unknown rate curve: ${curveName}`);
+    }
+
+    // Flat extrapolation beyond the first and last tenors
+    if (timeToExpiry <= points[0].tenor) return points[0].rate;
+    if (timeToExpiry >= points[points.length - 1].tenor) return points[points.length - 1].rate;
+
+    const upperIndex = points.findIndex(point => point.tenor >= timeToExpiry);
+    const lower = points[upperIndex - 1];
+    const upper = points[upperIndex];
+    const weight = (timeToExpiry - lower.tenor) / (upper.tenor - lower.tenor);
+
+    return lower.rate + (upper.rate - lower.rate) * weight;
+  }
+}
+
+// Create and export a singleton instance
+export const rateCurveService = new RateCurveService();
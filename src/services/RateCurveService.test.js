@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_RATE_CURVES, rateCurveService } from './RateCurveService';
+
+describe('RateCurveService', () => {
+  rateCurveService.setCurve('test', [
+    { tenor: 1, rate: 0.04 },
+    { tenor: 0.25, rate: 0.06 },
+    { tenor: 2, rate: 0.03 }
+  ]);
+
+  it('interpolates linearly between tenors', () => {
+    expect(rateCurveService.getRate(0.25, 'test')).toBeCloseTo(0.06, 12);
+    expect(rateCurveService.getRate(0.625, 'test')).toBeCloseTo(0.05, 12);
+    expect(rateCurveService.getRate(1.5, 'test')).toBeCloseTo(0.035, 12);
+  });
+
+  it('extrapolates flat beyond the first and last tenors', () => {
+    expect(rateCurveService.getRate(0, 'test')).toBe(0.06);
+    expect(rateCurveService.getRate(1 / 365, 'test')).toBe(0.06);
+    expect(rateCurveService.getRate(10, 'test')).toBe(0.03);
+  });
+
+  it('reads the active curve unless one is named', () => {
+    expect(rateCurveService.getRate(0.5)).toBeCloseTo(0.051, 12);
+    expect(rateCurveService.activeCurve).toBe(DEFAULT_RATE_CURVES.activeCurve);
+    expect(() => rateCurveService.getRate(0.5, 'missing')).toThrow('Unknown rate curve: missing');
+  });
+
+  it('drops invalid tenor points and rejects curves without any', () => {
+    rateCurveService.setCurve('sparse', [{ tenor: -1, rate: 0.1 }, { tenor: 1, rate: NaN }, { tenor: 0.5, rate: 0.02 }]);
+
+    expect(rateCurveService.getRate(3, 'sparse')).toBe(0.02);
+    expect(() => rateCurveService.setCurve('empty', [{ tenor: 'one', rate: 0.05 }])).toThrow('Rate curve empty has no valid tenor points');
+  });
+});
@@ -1,24 +1,29 @@
 // Automated Market Maker (AMM) for PolyCzar options trading
-import { optionsPricingEngine } from './optionsPricing';
+import { pricingClient } from './pricingClient';
+import { PositionSizer } from './positionSizing';
 
 export class AMM {
   constructor() {
     this.liquidityPools = new Map();
-    this.pricingEngine = optionsPricingEngine;
+    this.pricingEngine = pricingClient; // Prices come from the worker's engine
     this.userPositions = new Map(); // Map of userId -> positions array
+    this.positionSizer = new PositionSizer(this);
+    this.initialized = false;
   }
 
+  // Views call this on mount; demo pools and positions are only created once
   async initialize() {
-    await this.pricingEngine.initialize();
-    console.log("AMM initialized");
+    if (this.initialized) return;
+
     this.initializeDemoPositions();
     this.initializeDemoLiquidityPools(); // Initialize liquidity pools for development
-    console.log("Demo liquidity pools initialized");
+    this.initialized = true;
+    console.log("AMM initialized with demo liquidity pools");
   }
 
-  getPrice(optionId, optionDetails) {
+  async getPrice(optionId, optionDetails, options) {
     // Get the base price from the pricing engine
-    const price = this.pricingEngine.getPriceForOption(optionDetails);
+    const price = await this.pricingEngine.getPriceForOption(optionDetails, options);
     
     // Apply additional AMM-specific adjustments based on pool liquidity
     const pool = this.liquidityPools.get(optionId);
@@ -171,6 +176,18 @@ export class AMM {
     return Math.min(0.2, Math.pow(orderSize / poolLiquidity, 1.5) * 0.5);
   }
 
+  // Bid and ask a trade in optionId executes against, or null without a pool
+  getPoolQuote(optionId) {
+    const pool = this.liquidityPools.get(optionId);
+    return pool ? { bidPrice: pool.lastPrice.bidPrice, askPrice: pool.lastPrice.askPrice } : null;
+  }
+
+  // Recommend an order size from the trader's forecast and bankroll, within the
+  // pool's maximum order size and after slippage
+  recommendPositionSize(optionId, sizingOptions) {
+    return this.positionSizer.recommend(optionId, sizingOptions);
+  }
+
   // New method to get user positions with authentication
   async getUserPositions(userId = 'demo-user') {
     // If no positions exist for this user yet, initialize with demo data
@@ -287,7 +304,8 @@ export class AMM {
         entryPrice: 0.25,
         quantity: 10,
         costBasis: 250,
-        entryDate: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)  // 7 days ago
+        entryDate: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),  // 7 days ago
+        expiryDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days from now
       },
       {
         id: 'pos-2',
@@ -297,7 +315,8 @@ export class AMM {
         entryPrice: 0.15,
         quantity: 5,
         costBasis: 75,
-        entryDate: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000)  // 3 days ago
+        entryDate: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000),  // 3 days ago
+        expiryDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000) // 14 days from now
       }
     ];
     
@@ -0,0 +1,222 @@
+// Replays a market's stored history to judge how well a pricing model and
+// volatility estimator forecast outcomes. Each day a grid of hypothetical
+// binary calls is priced with only the data available that day, then settled
+// against the realized closing price at expiry.
+import { buildDailyBars, convertVolatility } from './volatilityEstimators.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class PricingBacktester {
+  // The engine supplies stored history, pricing models, volatility estimators and rates
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.options = {
+      strikes: [10, 20, 30, 40, 50, 60, 70, 80, 90], // Strike probabilities (0-100)
+      tenorDays: [7, 30],
+      historyDays: 180,       // How much stored history to replay
+      minHistoryDays: 7,      // History needed before the first pricing date
+      calibrationBuckets: 10,
+      liquidityFactor: 0.1,
+      ...options
+    };
+  }
+
+  async run(marketId, runOptions = {}) {
+    const historyDays = runOptions.historyDays ?? this.options.historyDays;
+    const history = await this.engine.historicalDataService.getHistoricalData(marketId, historyDays);
+
+    return this.replay(marketId, history || [], runOptions);
+  }
+
+  // Run several model/volatility configurations over the same history.
+  // Each configuration is { label, model, volatilitySettings }.
+  async compare(marketId, configurations, runOptions = {}) {
+    const historyDays = runOptions.historyDays ?? this.options.historyDays;
+    const history = await this.engine.historicalDataService.getHistoricalData(marketId, historyDays);
+
+    return configurations.map(configuration => ({
+      label: configuration.label || configuration.model,
+      ...this.replay(marketId, history || [], { ...runOptions, ...configuration })
+    }));
+  }
+
+  replay(marketId, history, runOptions = {}) {
+    const {
+      model, // Optional pricing model name
+      volatilitySettings = {}, // Optional estimator, lookback and bounds overriding the market's own
+      strikes = this.options.strikes,
+      tenorDays = this.options.tenorDays,
+      marketExpiresAt, // Optional resolution date of the market
+      rateCurve // Optional rate curve name
+    } = runOptions;
+
+    const modelName = this.engine.resolvePricingModelName(marketId, model);
+    const pricingModel = this.engine.getPricingModel(modelName);
+    const { volatilityService } = this.engine;
+    const settings = { ...volatilityService.getMarketVolatilitySettings(marketId), ...volatilitySettings };
+    volatilityService.validateVolatilitySettings(settings);
+    const estimateSpace = volatilityService.getEstimator(settings).space;
+    const newsIntensity = this.engine.getMarketNewsIntensity(marketId);
+
+    const sortedHistory = [...history]
+      .filter(point => Number.isFinite(point.price))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const bars = buildDailyBars(sortedHistory);
+
+    const trades = [];
+    for (const pricingBar of bars) {
+      if (pricingBar.day - bars[0].day < this.options.minHistoryDays) continue;
+
+      // Only data up to the close of the pricing day, within the estimator's lookback
+      const asOf = (pricingBar.day + 1) * DAY_MS;
+      const windowStart = asOf - settings.lookbackDays * DAY_MS;
+      const window = sortedHistory.filter(point => {
+        const time = new Date(point.timestamp).getTime();
+        return time >= windowStart && time < asOf;
+      });
+      // Estimated in the estimator's space, priced in the model's
+      const volatility = convertVolatility(
+        volatilityService.estimateVolatility(window, settings),
+        estimateSpace,
+        pricingModel.volatilitySpace,
+        pricingBar.close
+      );
+
+      for (const tenor of tenorDays) {
+        const settlementBar = this.findSettlementBar(bars, pricingBar.day + tenor);
+        if (!settlementBar) continue;
+
+        const timeToExpiry = tenor / 365;
+        const riskFreeRate = this.engine.getRiskFreeRate(timeToExpiry, rateCurve);
+        const discountFactor = Math.exp(-riskFreeRate * timeToExpiry);
+        const timeToResolution = marketExpiresAt
+          ? Math.max(0, (new Date(marketExpiresAt).getTime() - asOf) / (365 * DAY_MS))
+          : undefined;
+
+        for (const strike of strikes) {
+          const price = pricingModel.calculatePrice({
+            currentProbability: pricingBar.close * 100,
+            strikeProbability: strike,
+            timeToExpiry,
+            volatility,
+            riskFreeRate,
+            optionType: 'call', // Puts are the complement, so calls alone are scored
+            liquidityFactor: this.options.liquidityFactor,
+            timeToResolution,
+            newsIntensity
+          });
+
+          trades.push({
+            pricedAt: new Date(pricingBar.day * DAY_MS),
+            tenorDays: tenor,
+            strike,
+            currentPrice: pricingBar.close,
+            settlementPrice: settlementBar.close,
+            volatility,
+            // Undiscounted price is the model's probability that the call pays
+            forecast: Math.min(1, Math.max(0, price.midPrice / discountFactor)),
+            outcome: settlementBar.close * 100 > strike ? 1 : 0,
+            midPrice: price.midPrice,
+            bidPrice: price.bidPrice,
+            askPrice: price.askPrice,
+            discountFactor
+          });
+        }
+      }
+    }
+
+    return {
+      marketId,
+      model: modelName,
+      volatilitySettings: settings,
+      pricingDays: new Set(trades.map(trade => trade.pricedAt.getTime())).size,
+      ...this.scoreForecasts(trades),
+      ...this.calculatePnl(trades),
+      calibration: this.calculateCalibration(trades),
+      byStrike: strikes.map(strike => this.summarizeBucket({ strike }, trades.filter(trade => trade.strike === strike))),
+      byTenor: tenorDays.map(tenor => this.summarizeBucket({ tenorDays: tenor }, trades.filter(trade => trade.tenorDays === tenor))),
+      trades
+    };
+  }
+
+  // Last close on or before the expiry day, provided the history reaches expiry
+  findSettlementBar(bars, expiryDay) {
+    if (bars.length === 0 || bars[bars.length - 1].day < expiryDay) return null;
+
+    let settlement = null;
+    for (const bar of bars) {
+      if (bar.day > expiryDay) break;
+      settlement = bar;
+    }
+
+    return settlement;
+  }
+
+  summarizeBucket(key, trades) {
+    return { ...key, ...this.scoreForecasts(trades), ...this.calculatePnl(trades) };
+  }
+
+  // Brier score and log loss of the model's payout probabilities, with Brier
+  // skill against always forecasting the observed base rate
+  scoreForecasts(trades) {
+    if (trades.length === 0) {
+      return { count: 0, brierScore: null, logLoss: null, brierSkill: null, meanForecast: null, hitRate: null };
+    }
+
+    const epsilon = 1e-6;
+    const hitRate = trades.reduce((sum, trade) => sum + trade.outcome, 0) / trades.length;
+    const meanForecast = trades.reduce((sum, trade) => sum + trade.forecast, 0) / trades.length;
+
+    const brierScore = trades.reduce((sum, trade) => sum + Math.pow(trade.forecast - trade.outcome, 2), 0) / trades.length;
+    const logLoss = -trades.reduce((sum, trade) => {
+      const forecast = Math.min(1 - epsilon, Math.max(epsilon, trade.forecast));
+      return sum + (trade.outcome ? Math.log(forecast) : Math.log(1 - forecast));
+    }, 0) / trades.length;
+
+    const referenceBrier = hitRate * (1 - hitRate);
+    const brierSkill = referenceBrier > 0 ? 1 - brierScore / referenceBrier : null;
+
+    return { count: trades.length, brierScore, logLoss, brierSkill, meanForecast, hitRate };
+  }
+
+  // Present-value P&L per contract of buying every option at the ask and of
+  // selling every option at the bid
+  calculatePnl(trades) {
+    const longPnl = trades.reduce((sum, trade) => sum + trade.discountFactor * trade.outcome - trade.askPrice, 0);
+    const shortPnl = trades.reduce((sum, trade) => sum + trade.bidPrice - trade.discountFactor * trade.outcome, 0);
+
+    return {
+      longPnl,
+      shortPnl,
+      averageLongPnl: trades.length > 0 ? longPnl / trades.length : null,
+      averageShortPnl: trades.length > 0 ? shortPnl / trades.length : null
+    };
+  }
+
+  // Observed payout frequency against forecast probability, in equal-width buckets
+  calculateCalibration(trades) {
+    const bucketCount = this.options.calibrationBuckets;
+    const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+      lower: i / bucketCount,
+      upper: (i + 1) / bucketCount,
+      count: 0,
+      forecastTotal: 0,
+      outcomeTotal: 0
+    }));
+
+    for (const trade of trades) {
+      const bucket = buckets[Math.min(bucketCount - 1, Math.floor(trade.forecast * bucketCount))];
+      bucket.count += 1;
+      bucket.forecastTotal += trade.forecast;
+      bucket.outcomeTotal += trade.outcome;
+    }
+
+    return buckets.map(({ lower, upper, count, forecastTotal, outcomeTotal }) => ({
+      lower,
+      upper,
+      count,
+      meanForecast: count > 0 ? forecastTotal / count : null,
+      observedFrequency: count > 0 ? outcomeTotal / count : null
+    }));
+  }
+}
@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { PricingBacktester } from './backtester';
+import { OptionsPricingEngine } from './optionsPricing';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START_DAY = 20000; // Days since the epoch of the first recorded close
+
+// One noon tick per day, oscillating around 50%
+const dailyHistory = (days, priceOn = (day) => 0.5 + 0.1 * Math.sin(day / 3)) =>
+  Array.from({ length: days }, (_, day) => ({
+    price: priceOn(day),
+    timestamp: new Date((START_DAY + day + 0.5) * DAY_MS)
+  }));
+
+describe('PricingBacktester', () => {
+  const engine = new OptionsPricingEngine();
+  const backtester = new PricingBacktester(engine, { strikes: [40, 50, 60], tenorDays: [7] });
+  const runOptions = { model: 'logit-normal', volatilitySettings: { estimator: 'historical', lookbackDays: 7 } };
+
+  it('prices each day from the history known that day and settles at expiry', () => {
+    const result = backtester.replay('m', dailyHistory(30), runOptions);
+
+    // The first seven days are warm-up and the last seven have not expired yet
+    const pricedDays = [...new Set(result.trades.map(trade => trade.pricedAt.getTime() / DAY_MS - START_DAY))];
+    expect(pricedDays[0]).toBe(7);
+    expect(pricedDays[pricedDays.length - 1]).toBe(22);
+    expect(result.pricingDays).toBe(16);
+    expect(result.trades).toHaveLength(16 * 3);
+
+    for (const trade of result.trades) {
+      const pricedDay = trade.pricedAt.getTime() / DAY_MS - START_DAY;
+      expect(trade.settlementPrice).toBeCloseTo(0.5 + 0.1 * Math.sin((pricedDay + 7) / 3), 12);
+      expect(trade.outcome).toBe(trade.settlementPrice * 100 > trade.strike ? 1 : 0);
+    }
+  });
+
+  it('never looks past the pricing day', () => {
+    const original = backtester.replay('m', dailyHistory(30), runOptions);
+    // Same history up to day 15, then a crash
+    const crashed = backtester.replay('m', dailyHistory(30, day => (day <= 15 ? 0.5 + 0.1 * Math.sin(day / 3) : 0.05)), runOptions);
+
+    const pricedBy = (result, lastDay) => result.trades.filter(trade => trade.pricedAt.getTime() / DAY_MS - START_DAY <= lastDay);
+    const before = pricedBy(original, 15);
+    const after = pricedBy(crashed, 15);
+
+    expect(after.map(trade => [trade.volatility, trade.forecast])).toEqual(before.map(trade => [trade.volatility, trade.forecast]));
+  });
+
+  it('scores forecasts and P&L against the outcomes', () => {
+    const trades = [
+      { forecast: 0.8, outcome: 1, askPrice: 0.85, bidPrice: 0.75, discountFactor: 1 },
+      { forecast: 0.2, outcome: 0, askPrice: 0.25, bidPrice: 0.15, discountFactor: 1 },
+      { forecast: 0.6, outcome: 0, askPrice: 0.65, bidPrice: 0.55, discountFactor: 1 }
+    ];
+
+    const score = backtester.scoreForecasts(trades);
+    expect(score.brierScore).toBeCloseTo((0.04 + 0.04 + 0.36) / 3, 12);
+    expect(score.logLoss).toBeCloseTo(-(Math.log(0.8) + Math.log(0.8) + Math.log(0.4)) / 3, 12);
+    expect(score.hitRate).toBeCloseTo(1 / 3, 12);
+    expect(score.brierSkill).toBeCloseTo(1 - score.brierScore / (2 / 9), 12);
+
+    const pnl = backtester.calculatePnl(trades);
+    expect(pnl.longPnl).toBeCloseTo(1 - 1.75, 12);
+    expect(pnl.shortPnl).toBeCloseTo(1.45 - 1, 12);
+
+    const calibration = backtester.calculateCalibration(trades);
+    expect(calibration[8]).toMatchObject({ count: 1, meanForecast: 0.8, observedFrequency: 1 });
+    expect(calibration.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(3);
+  });
+
+  it('rejects a lookback too short for the estimator', () => {
+    expect(() => backtester.replay('m', dailyHistory(30), { volatilitySettings: { estimator: 'garch', lookbackDays: 7 } }))
+      .toThrow(/at least 21 days/);
+  });
+});
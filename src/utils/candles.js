@@ -0,0 +1,85 @@
+// OHLCV candles rolled up from raw price ticks. Each candle covers one
+// resolution-sized interval aligned to the Unix epoch (UTC days for '1d').
+// Open and close follow tick time rather than arrival order, so late or
+// backfilled ticks land correctly.
+
+export const CANDLE_RESOLUTIONS = {
+  '1m': 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+export function getCandleInterval(resolution) {
+  const interval = CANDLE_RESOLUTIONS[resolution];
+  if (!interval) {
+    throw new Error(`Unknown candle resolution: ${resolution}`);
+  }
+  return interval;
+}
+
+// Start (ms since epoch) of the candle that contains timestamp
+export function getCandleStart(timestamp, resolution) {
+  const interval = getCandleInterval(resolution);
+  return Math.floor(new Date(timestamp).getTime() / interval) * interval;
+}
+
+// Ticks without a positive price cannot move a candle
+export function isCandleTick(tick) {
+  return Number.isFinite(tick.price) && tick.price > 0;
+}
+
+// Fold one tick into the candle for its interval, creating it when candle is
+// null. Returns a new candle record.
+export function applyTickToCandle(candle, tick, marketId, resolution) {
+  const time = new Date(tick.timestamp).getTime();
+  const volume = Number.isFinite(tick.volume) ? tick.volume : 0;
+
+  if (!candle) {
+    return {
+      marketId,
+      resolution,
+      start: getCandleStart(time, resolution),
+      open: tick.price,
+      high: tick.price,
+      low: tick.price,
+      close: tick.price,
+      volume,
+      count: 1,
+      openTime: time,
+      closeTime: time
+    };
+  }
+
+  const updated = {
+    ...candle,
+    high: Math.max(candle.high, tick.price),
+    low: Math.min(candle.low, tick.price),
+    volume: candle.volume + volume,
+    count: candle.count + 1
+  };
+
+  if (time < candle.openTime) {
+    updated.open = tick.price;
+    updated.openTime = time;
+  }
+  if (time >= candle.closeTime) {
+    updated.close = tick.price;
+    updated.closeTime = time;
+  }
+
+  return updated;
+}
+
+// Roll a batch of ticks into candles at one resolution, oldest first
+export function aggregateCandles(ticks, resolution, marketId) {
+  const candles = new Map(); // Candle start -> candle
+
+  for (const tick of ticks) {
+    if (!isCandleTick(tick)) continue;
+
+    const start = getCandleStart(tick.timestamp, resolution);
+    candles.set(start, applyTickToCandle(candles.get(start) || null, tick, marketId, resolution));
+  }
+
+  return Array.from(candles.values()).sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { aggregateCandles, getCandleStart } from './candles';
+import { MemoryHistoricalStore } from './historicalStores';
+
+const at = (iso) => new Date(iso);
+
+describe('candle rollups', () => {
+  it('aligns candles to UTC minute, hour and day boundaries', () => {
+    const midnight = Date.UTC(2026, 0, 2);
+
+    expect(getCandleStart(at('2026-01-01T23:59:59.999Z'), '1d')).toBe(midnight - 24 * 60 * 60 * 1000);
+    expect(getCandleStart(at('2026-01-02T00:00:00.000Z'), '1d')).toBe(midnight);
+    expect(getCandleStart(at('2026-01-02T13:59:59.999Z'), '1h')).toBe(Date.UTC(2026, 0, 2, 13));
+    expect(getCandleStart(at('2026-01-02T14:00:00.000Z'), '1h')).toBe(Date.UTC(2026, 0, 2, 14));
+    expect(getCandleStart(at('2026-01-02T14:05:30.000Z'), '1m')).toBe(Date.UTC(2026, 0, 2, 14, 5));
+    expect(() => getCandleStart(at('2026-01-02T00:00:00Z'), '5m')).toThrow('Unknown candle resolution: 5m');
+  });
+
+  it('splits ticks on either side of a boundary into separate candles', () => {
+    const ticks = [
+      { price: 0.4, volume: 1, timestamp: at('2026-01-01T23:59:59.999Z') },
+      { price: 0.5, volume: 2, timestamp: at('2026-01-02T00:00:00.000Z') },
+      { price: 0.6, volume: 3, timestamp: at('2026-01-02T00:00:59.999Z') },
+      { price: 0.7, volume: 4, timestamp: at('2026-01-02T00:01:00.000Z') }
+    ];
+
+    expect(aggregateCandles(ticks, '1d', 'm').map(candle => candle.count)).toEqual([1, 3]);
+    expect(aggregateCandles(ticks, '1h', 'm').map(candle => candle.count)).toEqual([1, 3]);
+    expect(aggregateCandles(ticks, '1m', 'm').map(candle => candle.count)).toEqual([1, 2, 1]);
+
+    const [, day] = aggregateCandles(ticks, '1d', 'm');
+    expect(day).toMatchObject({ marketId: 'm', resolution: '1d', start: Date.UTC(2026, 0, 2), volume: 9 });
+  });
+
+  it('orders open and close by tick time, not arrival', () => {
+    const ticks = [
+      { price: 0.5, timestamp: at('2026-01-02T12:00:00Z') },
+      { price: 0.3, timestamp: at('2026-01-02T18:00:00Z') },
+      { price: 0.7, timestamp: at('2026-01-02T06:00:00Z') }, // Late backfill
+      { price: 0, timestamp: at('2026-01-02T20:00:00Z') } // No price, ignored
+    ];
+
+    const [candle] = aggregateCandles(ticks, '1d', 'm');
+    expect(candle).toMatchObject({ open: 0.7, high: 0.7, low: 0.3, close: 0.3, count: 3, volume: 0 });
+    expect(candle.openTime).toBe(Date.UTC(2026, 0, 2, 6));
+    expect(candle.closeTime).toBe(Date.UTC(2026, 0, 2, 18));
+  });
+
+  it('returns the candle containing the start of a stored range', async () => {
+    const store = new MemoryHistoricalStore();
+    await store.addTicks([
+      { marketId: 'm', price: 0.4, volume: 1, timestamp: at('2026-01-01T06:00:00Z') },
+      { marketId: 'm', price: 0.5, volume: 1, timestamp: at('2026-01-02T06:00:00Z') },
+      { marketId: 'm', price: 0.6, volume: 1, timestamp: at('2026-01-03T06:00:00Z') },
+      { marketId: 'other', price: 0.9, volume: 1, timestamp: at('2026-01-02T06:00:00Z') }
+    ]);
+
+    // From mid-morning on the 2nd still includes the 2nd's candle
+    const candles = await store.getCandles('m', '1d', { from: at('2026-01-02T10:00:00Z') });
+    expect(candles.map(candle => candle.close)).toEqual([0.5, 0.6]);
+  });
+});
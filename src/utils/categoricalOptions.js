@@ -0,0 +1,158 @@
+// Binaries on one outcome of a multi-outcome (categorical) market. The market is
+// a probability vector; each outcome's log-score diffuses independently and the
+// vector is recovered with a softmax, so every simulated state sums to 1.
+import { createSeededRandom, createNormalGenerator } from './monteCarlo.js';
+
+// Normalize outcome probabilities so they sum to 1. Accepts [{ name, probability }].
+export function normalizeOutcomes(outcomes) {
+  if (!Array.isArray(outcomes) || outcomes.length < 2) {
+    throw new Error('Categorical markets need at least two outcomes');
+  }
+
+  const total = outcomes.reduce((sum, outcome) => {
+    if (!Number.isFinite(outcome.probability) || outcome.probability < 0) {
+      throw new Error(`Invalid probability for outcome ${outcome.name}`);
+    }
+    return sum + outcome.probability;
+  }, 0);
+
+  if (total <= 0) {
+    throw new Error('Outcome probabilities must not all be zero');
+  }
+
+  return outcomes.map(outcome => ({ ...outcome, probability: outcome.probability / total }));
+}
+
+export class CategoricalOptionModel {
+  constructor(options = {}) {
+    this.options = {
+      paths: 10000,
+      seed: 42,
+      antithetic: true,
+      probabilityFloor: 1e-6, // Keeps every log-score finite
+      probabilityBump: 0.5,   // Percentage points, for delta
+      ...options
+    };
+  }
+
+  price(params) {
+    const {
+      outcomes,            // [{ name, probability }] summing to 1
+      outcomeIndex,        // Index of the outcome the option is written on
+      strikeProbability,   // Strike probability (0-100)
+      timeToExpiry,        // Time to expiry in years
+      volatility,          // Annualized log-odds volatility of each outcome
+      riskFreeRate,        // Risk-free rate
+      optionType,          // 'call' or 'put'
+      liquidityFactor = 0, // Factor to adjust spread based on liquidity
+      paths = this.options.paths,
+      seed = this.options.seed
+    } = params;
+
+    const probabilities = normalizeOutcomes(outcomes).map(outcome => outcome.probability);
+    if (!(outcomeIndex >= 0 && outcomeIndex < probabilities.length)) {
+      throw new Error(`Unknown outcome index: ${outcomeIndex}`);
+    }
+
+    const simulation = this.simulate({
+      probabilities,
+      outcomeIndex,
+      strikeProbability,
+      timeToExpiry,
+      volatility,
+      paths,
+      seed
+    });
+
+    const discountFactor = Math.exp(-riskFreeRate * timeToExpiry);
+    const isCall = optionType.toLowerCase() === 'call';
+    const payout = isCall ? simulation.probabilityAbove : 1 - simulation.probabilityAbove;
+
+    const midPrice = Math.max(0, Math.min(1, discountFactor * payout));
+    const halfSpread = liquidityFactor * volatility * Math.sqrt(timeToExpiry) / 2;
+    const standardError = discountFactor * simulation.standardError;
+
+    return {
+      midPrice,
+      bidPrice: Math.max(0, midPrice - halfSpread),
+      askPrice: Math.min(1, midPrice + halfSpread),
+      delta: this.calculateDelta({ ...params, probabilities, discountFactor, isCall, paths, seed }),
+      standardError,
+      confidenceInterval: [midPrice - 1.96 * standardError, midPrice + 1.96 * standardError],
+      paths: simulation.paths,
+      seed,
+      timestamp: new Date()
+    };
+  }
+
+  // Probability that the chosen outcome ends above the strike. Each outcome's
+  // log-score moves with volatility / sqrt(2), so in a two-outcome market the
+  // log-odds have exactly the given volatility, as in the logit-normal model.
+  simulate({ probabilities, outcomeIndex, strikeProbability, timeToExpiry, volatility, paths, seed }) {
+    const { probabilityFloor, antithetic } = this.options;
+    const strike = strikeProbability / 100;
+    const scores = probabilities.map(p => Math.log(Math.max(probabilityFloor, p)));
+    const stdDev = volatility / Math.SQRT2 * Math.sqrt(timeToExpiry);
+
+    // Nothing left to diffuse: the option is worth its intrinsic value
+    if (stdDev <= 0) {
+      return { probabilityAbove: probabilities[outcomeIndex] > strike ? 1 : 0, standardError: 0, paths: 0 };
+    }
+
+    const normal = createNormalGenerator(createSeededRandom(seed));
+    const isAbove = (shocks) => {
+      const terminal = scores.map((score, i) => Math.exp(score + stdDev * shocks[i]));
+      const total = terminal.reduce((sum, value) => sum + value, 0);
+      return terminal[outcomeIndex] / total > strike ? 1 : 0;
+    };
+
+    // Antithetic pairs count as one sample each so the standard error stays honest
+    const samples = [];
+    const sampleCount = antithetic ? Math.ceil(paths / 2) : paths;
+    for (let i = 0; i < sampleCount; i++) {
+      const shocks = scores.map(() => normal());
+      samples.push(antithetic
+        ? (isAbove(shocks) + isAbove(shocks.map(z => -z))) / 2
+        : isAbove(shocks));
+    }
+
+    const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+    const variance = samples.length > 1
+      ? samples.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (samples.length - 1)
+      : 0;
+
+    return {
+      probabilityAbove: mean,
+      standardError: Math.sqrt(variance / samples.length),
+      paths: antithetic ? sampleCount * 2 : sampleCount
+    };
+  }
+
+  // Delta per unit of the chosen outcome's probability (0-1). The other outcomes
+  // give up or absorb the bump in proportion to their size, keeping the sum at 1.
+  // Both legs reuse the same seed so simulation noise cancels.
+  calculateDelta({ probabilities, outcomeIndex, strikeProbability, timeToExpiry, volatility, paths, seed, discountFactor, isCall }) {
+    const { probabilityBump, probabilityFloor } = this.options;
+    const current = probabilities[outcomeIndex];
+    const up = Math.min(current + probabilityBump / 100, 1 - probabilityFloor);
+    const down = Math.max(current - probabilityBump / 100, probabilityFloor);
+    if (up <= down) return 0;
+
+    const priceAt = (target) => {
+      const othersScale = current < 1 ? (1 - target) / (1 - current) : 0;
+      const bumped = probabilities.map((p, i) => (i === outcomeIndex ? target : p * othersScale));
+      const { probabilityAbove } = this.simulate({
+        probabilities: bumped,
+        outcomeIndex,
+        strikeProbability,
+        timeToExpiry,
+        volatility,
+        paths,
+        seed
+      });
+      return discountFactor * (isCall ? probabilityAbove : 1 - probabilityAbove);
+    };
+
+    return (priceAt(up) - priceAt(down)) / (up - down);
+  }
+}
@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { CategoricalOptionModel, normalizeOutcomes } from './categoricalOptions';
+import { LogitNormalBinaryModel } from './optionsPricing';
+
+describe('normalizeOutcomes', () => {
+  it('scales probabilities to sum to 1', () => {
+    const outcomes = normalizeOutcomes([
+      { name: 'A', probability: 50 },
+      { name: 'B', probability: 30 },
+      { name: 'C', probability: 40 }
+    ]);
+
+    expect(outcomes.reduce((sum, outcome) => sum + outcome.probability, 0)).toBeCloseTo(1, 12);
+    expect(outcomes.map(outcome => outcome.name)).toEqual(['A', 'B', 'C']);
+  });
+
+  it('rejects markets it cannot normalize', () => {
+    expect(() => normalizeOutcomes([{ name: 'A', probability: 1 }])).toThrow('at least two outcomes');
+    expect(() => normalizeOutcomes([{ name: 'A', probability: -1 }, { name: 'B', probability: 1 }])).toThrow('Invalid probability for outcome A');
+    expect(() => normalizeOutcomes([{ name: 'A', probability: 0 }, { name: 'B', probability: 0 }])).toThrow('must not all be zero');
+  });
+});
+
+describe('CategoricalOptionModel', () => {
+  const model = new CategoricalOptionModel({ paths: 4000 });
+  const contract = {
+    outcomes: [
+      { name: 'A', probability: 0.45 },
+      { name: 'B', probability: 0.35 },
+      { name: 'C', probability: 0.2 }
+    ],
+    strikeProbability: 50,
+    timeToExpiry: 60 / 365,
+    volatility: 1.5,
+    riskFreeRate: 0.05
+  };
+  const discountFactor = Math.exp(-contract.riskFreeRate * contract.timeToExpiry);
+  const priceOf = (overrides) => model.price({ ...contract, optionType: 'call', outcomeIndex: 0, ...overrides }).midPrice;
+
+  it('splits the discounted payout between calls and puts', () => {
+    for (const outcomeIndex of [0, 1, 2]) {
+      expect(priceOf({ outcomeIndex }) + priceOf({ outcomeIndex, optionType: 'put' })).toBeCloseTo(discountFactor, 12);
+    }
+  });
+
+  it('keeps the simulated outcomes summing to 1', () => {
+    // Only one outcome can finish above 50% in a state that sums to 1
+    const aboveHalf = [0, 1, 2].reduce((sum, outcomeIndex) => sum + priceOf({ outcomeIndex }), 0);
+    expect(aboveHalf).toBeLessThanOrEqual(discountFactor + 1e-12);
+
+    // With two outcomes, exactly one finishes above 50% on every path
+    const binary = { outcomes: [{ name: 'Yes', probability: 0.6 }, { name: 'No', probability: 0.4 }] };
+    expect(priceOf(binary) + priceOf({ ...binary, outcomeIndex: 1 })).toBeCloseTo(discountFactor, 12);
+  });
+
+  it('matches the logit-normal model on a two-outcome market', () => {
+    const binary = { outcomes: [{ name: 'Yes', probability: 0.6 }, { name: 'No', probability: 0.4 }], strikeProbability: 55 };
+    const { midPrice, standardError } = model.price({ ...contract, ...binary, optionType: 'call', outcomeIndex: 0 });
+    const closedForm = new LogitNormalBinaryModel().calculatePrice({
+      currentProbability: 60,
+      strikeProbability: 55,
+      timeToExpiry: contract.timeToExpiry,
+      volatility: contract.volatility,
+      riskFreeRate: contract.riskFreeRate,
+      optionType: 'call',
+      liquidityFactor: 0
+    }).midPrice;
+
+    expect(Math.abs(midPrice - closedForm)).toBeLessThan(3 * standardError);
+  });
+
+  it('rejects an unknown outcome', () => {
+    expect(() => priceOf({ outcomeIndex: 3 })).toThrow('Unknown outcome index: 3');
+  });
+});
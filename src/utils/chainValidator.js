@@ -0,0 +1,183 @@
+// No-arbitrage checks for binary option chains. A binary call and put at the
+// same strike together pay 1 for sure, so call + put must equal the discount
+// factor; calls must get cheaper (and puts dearer) as the strike rises; and no
+// premium can be negative or worth more than the discounted payout.
+
+export const CHAIN_VIOLATION_TYPES = ['bounds', 'monotonicity', 'parity', 'duplicate-strike'];
+
+export class ChainValidator {
+  constructor(options = {}) {
+    this.options = {
+      tolerance: 0.005, // Price slack before a relationship counts as violated
+      ...options
+    };
+  }
+
+  // Check a { calls, puts } chain with strikes as probabilities (0-1) and
+  // premiums as numbers or numeric strings. Violations are reported per row in
+  // the same order as the input rows.
+  validate(chain, { discountFactor = 1 } = {}) {
+    const { tolerance } = this.options;
+    const calls = this.toRows(chain.calls);
+    const puts = this.toRows(chain.puts);
+    const violations = [];
+    const rowViolations = {
+      calls: calls.map(() => []),
+      puts: puts.map(() => [])
+    };
+
+    const flag = (violation, rows) => {
+      violations.push(violation);
+      for (const { side, index } of rows) {
+        rowViolations[side][index].push(violation);
+      }
+    };
+
+    for (const [side, rows] of [['calls', calls], ['puts', puts]]) {
+      const label = side === 'calls' ? 'Call' : 'Put';
+
+      for (const row of rows) {
+        if (!Number.isFinite(row.premium) || row.premium < -tolerance || row.premium > discountFactor + tolerance) {
+          flag({
+            type: 'bounds',
+            strike: row.strike,
+            message: `${label} premium ${this.format(row.premium)} is outside [0, ${this.format(discountFactor)}]`
+          }, [{ side, index: row.index }]);
+        }
+      }
+
+      // Calls fall and puts rise with the strike
+      const sorted = [...rows].sort((a, b) => a.strike - b.strike);
+      for (let i = 1; i < sorted.length; i++) {
+        const lower = sorted[i - 1];
+        const upper = sorted[i];
+
+        if (upper.strike === lower.strike) {
+          if (Math.abs(upper.premium - lower.premium) > tolerance) {
+            flag({
+              type: 'duplicate-strike',
+              strike: upper.strike,
+              message: `${label}s at strike ${this.formatStrike(upper.strike)} are quoted at different premiums`
+            }, [{ side, index: lower.index }, { side, index: upper.index }]);
+          }
+          continue;
+        }
+
+        const change = upper.premium - lower.premium;
+        const wrongWay = side === 'calls' ? change > tolerance : change < -tolerance;
+        if (wrongWay) {
+          flag({
+            type: 'monotonicity',
+            strike: upper.strike,
+            message: `${label} at ${this.formatStrike(upper.strike)} is ${side === 'calls' ? 'dearer' : 'cheaper'} than at ${this.formatStrike(lower.strike)}`
+          }, [{ side, index: lower.index }, { side, index: upper.index }]);
+        }
+      }
+    }
+
+    // Call-put parity at every strike quoted on both sides
+    for (const call of calls) {
+      for (const put of puts.filter(candidate => candidate.strike === call.strike)) {
+        const total = call.premium + put.premium;
+        if (Math.abs(total - discountFactor) > tolerance) {
+          flag({
+            type: 'parity',
+            strike: call.strike,
+            message: `Call + put at ${this.formatStrike(call.strike)} is ${this.format(total)}, expected ${this.format(discountFactor)}`
+          }, [{ side: 'calls', index: call.index }, { side: 'puts', index: put.index }]);
+        }
+      }
+    }
+
+    return {
+      valid: violations.length === 0,
+      discountFactor,
+      violations,
+      rowViolations
+    };
+  }
+
+  // Closest arbitrage-free chain: each strike's call value combines the call
+  // quote and the parity-implied value of the put, calls are made
+  // non-increasing in strike by isotonic regression, and puts follow by parity.
+  // Repaired rows keep their original premium as originalPremium.
+  repair(chain, { discountFactor = 1 } = {}) {
+    const calls = this.toRows(chain.calls);
+    const puts = this.toRows(chain.puts);
+    const clamp = (value) => Math.min(discountFactor, Math.max(0, value));
+
+    const byStrike = new Map(); // Strike -> { total, weight } of call-equivalent values
+    const addObservation = (strike, value) => {
+      if (!Number.isFinite(value)) return;
+      const entry = byStrike.get(strike) || { total: 0, weight: 0 };
+      entry.total += clamp(value);
+      entry.weight += 1;
+      byStrike.set(strike, entry);
+    };
+
+    calls.forEach(row => addObservation(row.strike, row.premium));
+    puts.forEach(row => addObservation(row.strike, discountFactor - row.premium));
+
+    const strikes = Array.from(byStrike.keys()).sort((a, b) => a - b);
+    const fitted = this.fitNonIncreasing(strikes.map(strike => {
+      const { total, weight } = byStrike.get(strike);
+      return { value: total / weight, weight };
+    }));
+    const callValues = new Map(strikes.map((strike, i) => [strike, clamp(fitted[i])]));
+
+    const rebuild = (rows, source, priceOf) => rows.map(row => {
+      const repaired = priceOf(callValues.get(row.strike));
+      const original = source[row.index];
+      const changed = !Number.isFinite(row.premium) || Math.abs(repaired - row.premium) > 1e-9;
+
+      return changed
+        ? { ...original, premium: repaired.toFixed(4), originalPremium: original.premium, repaired: true }
+        : original;
+    });
+
+    return {
+      ...chain,
+      calls: rebuild(calls, chain.calls || [], value => value),
+      puts: rebuild(puts, chain.puts || [], value => discountFactor - value)
+    };
+  }
+
+  // Weighted pool-adjacent-violators fit of a non-increasing sequence
+  fitNonIncreasing(points) {
+    const blocks = [];
+
+    for (const { value, weight } of points) {
+      blocks.push({ value, weight, size: 1 });
+
+      // Merge while a later block sits above an earlier one
+      while (blocks.length > 1 && blocks[blocks.length - 1].value > blocks[blocks.length - 2].value) {
+        const last = blocks.pop();
+        const previous = blocks.pop();
+        const weight = previous.weight + last.weight;
+        blocks.push({
+          value: (previous.value * previous.weight + last.value * last.weight) / weight,
+          weight,
+          size: previous.size + last.size
+        });
+      }
+    }
+
+    return blocks.flatMap(block => Array(block.size).fill(block.value));
+  }
+
+  toRows(options = []) {
+    return (options || []).map((option, index) => ({
+      index,
+      strike: Number(option.strike),
+      premium: parseFloat(option.premium)
+    }));
+  }
+
+  format(value) {
+    return Number.isFinite(value) ? value.toFixed(4) : String(value);
+  }
+
+  formatStrike(strike) {
+    return `${(strike * 100).toFixed(1)}%`;
+  }
+}
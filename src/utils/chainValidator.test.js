@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { ChainValidator } from './chainValidator';
+
+const chainOf = (callPremiums, putPremiums, strikes = [0.3, 0.5, 0.7]) => ({
+  calls: callPremiums.map((premium, i) => ({ strike: strikes[i], premium: String(premium) })),
+  puts: putPremiums.map((premium, i) => ({ strike: strikes[i], premium: String(premium) }))
+});
+
+describe('ChainValidator', () => {
+  const validator = new ChainValidator();
+
+  it('accepts an arbitrage-free chain', () => {
+    const result = validator.validate(chainOf([0.7, 0.5, 0.3], [0.3, 0.5, 0.7]));
+
+    expect(result.valid).toBe(true);
+    expect(result.rowViolations.calls).toEqual([[], [], []]);
+  });
+
+  it('flags each kind of violation on the rows involved', () => {
+    const { valid, violations, rowViolations } = validator.validate(chainOf([0.5, 0.6, 1.2], [0.5, 0.4, 0.2]));
+    const typesOf = (rows) => rows.map(row => row.map(violation => violation.type).sort());
+
+    expect(valid).toBe(false);
+    expect(new Set(violations.map(violation => violation.type))).toEqual(new Set(['bounds', 'monotonicity', 'parity']));
+    // Calls rise from 0.3 to 0.7, the 0.7 call pays more than 1, puts fall throughout
+    expect(typesOf(rowViolations.calls)).toEqual([
+      ['monotonicity'],
+      ['monotonicity', 'monotonicity'],
+      ['bounds', 'monotonicity', 'parity']
+    ]);
+    expect(typesOf(rowViolations.puts)).toEqual([
+      ['monotonicity'],
+      ['monotonicity', 'monotonicity'],
+      ['monotonicity', 'parity']
+    ]);
+  });
+
+  it('checks parity against the discount factor and ignores noise within tolerance', () => {
+    const chain = chainOf([0.6, 0.4, 0.2], [0.35, 0.55, 0.75]);
+
+    expect(validator.validate(chain).violations.map(violation => violation.type)).toEqual(['parity', 'parity', 'parity']);
+    expect(validator.validate(chain, { discountFactor: 0.95 }).valid).toBe(true);
+    expect(validator.validate(chainOf([0.7, 0.703, 0.3], [0.3, 0.297, 0.7])).valid).toBe(true);
+  });
+
+  it('flags duplicate strikes quoted at different premiums', () => {
+    const chain = { calls: [{ strike: 0.5, premium: '0.5' }, { strike: 0.5, premium: '0.6' }], puts: [] };
+    const { violations, rowViolations } = validator.validate(chain);
+
+    expect(violations.map(violation => violation.type)).toEqual(['duplicate-strike']);
+    expect(rowViolations.calls.map(row => row.length)).toEqual([1, 1]);
+  });
+
+  it('repairs to the nearest non-increasing calls and puts at parity', () => {
+    // The 0.5 and 0.7 calls cross; pooling them gives their mean
+    const repaired = validator.repair(chainOf([0.7, 0.4, 0.5], [0.3, 0.6, 0.5]));
+
+    expect(repaired.calls.map(row => row.premium)).toEqual(['0.7', '0.4500', '0.4500']);
+    expect(repaired.puts.map(row => row.premium)).toEqual(['0.3', '0.5500', '0.5500']);
+    expect(repaired.calls[0].repaired).toBeUndefined();
+    expect(repaired.calls[1]).toMatchObject({ repaired: true, originalPremium: '0.4' });
+    expect(validator.validate(repaired).valid).toBe(true);
+  });
+
+  it('blends call and put quotes and clamps them to the payout bounds', () => {
+    // Call 0.62 and put 0.4 imply call values 0.62 and 0.6 at the same strike
+    const repaired = validator.repair(chainOf([0.62, 1.3], [0.4, -0.2], [0.4, 0.6]));
+
+    expect(repaired.calls.map(row => row.premium)).toEqual(['0.8050', '0.8050']);
+    expect(validator.validate(repaired).valid).toBe(true);
+  });
+
+  it('fits a weighted non-increasing sequence by pooling adjacent violators', () => {
+    const fitted = validator.fitNonIncreasing([
+      { value: 0.9, weight: 1 },
+      { value: 0.5, weight: 1 },
+      { value: 0.8, weight: 2 },
+      { value: 0.2, weight: 1 }
+    ]);
+
+    [0.9, 0.7, 0.7, 0.2].forEach((value, i) => expect(fitted[i]).toBeCloseTo(value, 12));
+    expect(fitted).toHaveLength(4);
+  });
+});
@@ -0,0 +1,128 @@
+// Model-agnostic Greeks by finite differences. Any model exposing
+// calculatePrice(params) gets the same Greeks, computed by bumping its inputs.
+// A model that lists closedFormGreeks keeps its own values for those.
+
+export const GREEK_NAMES = ['delta', 'gamma', 'theta', 'vega', 'rho', 'vanna', 'volga', 'charm'];
+
+export class GreeksCalculator {
+  constructor(options = {}) {
+    this.options = {
+      probabilityBump: 0.5,   // Percentage points of probability
+      volatilityBump: 0.01,   // Absolute volatility
+      rateBump: 0.0001,       // Absolute rate (1bp)
+      timeBump: 1 / 365,      // One calendar day
+      boundaryFraction: 0.1,  // Largest bump as a share of the distance to a bound
+      ...options
+    };
+  }
+
+  // Greeks use the same units as the closed-form models: delta and gamma per unit
+  // of probability (0-1), vega and vanna per volatility point, volga per volatility
+  // point squared, rho per 1% of rate, theta and charm per calendar day.
+  //
+  // Near 0% or 100% (and near zero volatility) the price curves over a range
+  // about as wide as the distance to the bound, so bumps shrink with that
+  // distance and stay inside it, and only go one way exactly on a bound.
+  calculate(model, params, closedForm = {}) {
+    const { probabilityBump, volatilityBump, rateBump } = this.options;
+    const priceAt = (overrides = {}) => model.calculatePrice({ ...params, ...overrides }).midPrice;
+
+    const base = priceAt();
+    const { currentProbability, volatility, riskFreeRate } = params;
+
+    // Steps in percentage points; derivatives are scaled to probability units (0-1)
+    const probabilitySteps = this.getSteps(probabilityBump, currentProbability, 100 - currentProbability);
+    const probabilityDerivatives = (overrides = {}, center = priceAt(overrides)) => differentiate(
+      (probability) => priceAt({ ...overrides, currentProbability: probability }),
+      currentProbability,
+      probabilitySteps.up,
+      probabilitySteps.down,
+      center
+    );
+    const deltaAt = (overrides) => probabilityDerivatives(overrides).first * 100;
+
+    const probability = probabilityDerivatives({}, base);
+    const delta = probability.first * 100;
+    const gamma = probability.second * 10000;
+
+    // Volatility only has a bound below
+    const volSteps = this.getSteps(volatilityBump, volatility, Infinity);
+    const vol = differentiate((value) => priceAt({ volatility: value }), volatility, volSteps.up, volSteps.down, base);
+    const vanna = differentiate(
+      (value) => deltaAt({ volatility: value }),
+      volatility,
+      volSteps.up,
+      volSteps.down,
+      delta
+    ).first / 100;
+
+    const vega = vol.first / 100;
+    const volga = vol.second / 10000;
+
+    const rho = (
+      priceAt({ riskFreeRate: riskFreeRate + rateBump }) -
+      priceAt({ riskFreeRate: riskFreeRate - rateBump })
+    ) / (2 * rateBump) / 100;
+
+    // Decay over one day, with every clock in the inputs moving forward together
+    const tomorrow = this.rollForward(params);
+    const theta = tomorrow ? priceAt(tomorrow) - base : 0;
+    const charm = tomorrow ? deltaAt(tomorrow) - delta : 0;
+
+    const greeks = { delta, gamma, theta, vega, rho, vanna, volga, charm };
+    (model.closedFormGreeks || []).forEach(name => {
+      if (Number.isFinite(closedForm[name])) greeks[name] = closedForm[name];
+    });
+
+    return greeks;
+  }
+
+  // Equal steps no wider than boundaryFraction of the distance to the nearer
+  // bound; on a bound, steps only go away from it
+  getSteps(bump, distanceBelow, distanceAbove) {
+    const scale = (distance) => Math.max(0, Math.min(bump, this.options.boundaryFraction * distance));
+    const step = scale(Math.min(distanceBelow, distanceAbove));
+
+    return step > 0
+      ? { up: step, down: step }
+      : { up: scale(distanceAbove), down: scale(distanceBelow) };
+  }
+
+  rollForward(params) {
+    const { timeBump } = this.options;
+    if (!(params.timeToExpiry > 0)) return null;
+
+    const rolled = { timeToExpiry: Math.max(0, params.timeToExpiry - timeBump) };
+    if (params.timeToResolution !== undefined) {
+      rolled.timeToResolution = Math.max(0, params.timeToResolution - timeBump);
+    }
+
+    return rolled;
+  }
+}
+
+// First and second derivatives of f at x from f(x) and one step on each side.
+// Unequal steps use the three-point non-uniform formulas; a missing side uses
+// two steps on the other side.
+function differentiate(f, x, stepUp, stepDown, center = f(x)) {
+  if (stepUp > 0 && stepDown > 0) {
+    const up = f(x + stepUp);
+    const down = f(x - stepDown);
+    const span = stepUp * stepDown * (stepUp + stepDown);
+
+    return {
+      first: (up * stepDown * stepDown - down * stepUp * stepUp - center * (stepDown * stepDown - stepUp * stepUp)) / span,
+      second: 2 * (up * stepDown - center * (stepUp + stepDown) + down * stepUp) / span
+    };
+  }
+
+  const step = stepUp > 0 ? stepUp : -stepDown;
+  if (step === 0) return { first: 0, second: 0 };
+
+  const near = f(x + step);
+  const far = f(x + 2 * step);
+  return {
+    first: (-3 * center + 4 * near - far) / (2 * step),
+    second: (center - 2 * near + far) / (step * step)
+  };
+}
@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+import { GreeksCalculator } from './greeks';
+import { BlackScholesBinaryModel, LogitNormalBinaryModel, OptionsPricingEngine } from './optionsPricing';
+
+// Bump every Greek, ignoring the model's closed forms
+class BumpedOnly {
+  constructor(model) {
+    this.model = model;
+  }
+
+  calculatePrice(params) {
+    return this.model.calculatePrice(params);
+  }
+}
+
+const baseParams = {
+  strikeProbability: 50,
+  timeToExpiry: 0.25,
+  volatility: 3,
+  riskFreeRate: 0.05,
+  optionType: 'call',
+  liquidityFactor: 0
+};
+
+const expectRelativelyClose = (actual, expected, tolerance) => {
+  expect(Math.abs(actual - expected)).toBeLessThanOrEqual(tolerance * Math.abs(expected));
+};
+
+describe('GreeksCalculator', () => {
+  const calculator = new GreeksCalculator();
+  const logitNormal = new LogitNormalBinaryModel();
+
+  it.each([
+    [0.4, 1],
+    [2, 4],
+    [50, 55],
+    [98, 96],
+    [99.6, 99]
+  ])('matches closed-form logit-normal Greeks at %s%% struck at %s%%', (currentProbability, strikeProbability) => {
+    const params = { ...baseParams, currentProbability, strikeProbability };
+    const exact = logitNormal.calculatePrice(params);
+    const bumped = calculator.calculate(new BumpedOnly(logitNormal), params);
+
+    expectRelativelyClose(bumped.delta, exact.delta, 0.01);
+    expectRelativelyClose(bumped.gamma, exact.gamma, 0.02);
+    expectRelativelyClose(bumped.vega, exact.vega, 0.01);
+  });
+
+  it('keeps the model\'s closed-form Greeks', () => {
+    const params = { ...baseParams, currentProbability: 0.4, strikeProbability: 1 };
+    const exact = logitNormal.calculatePrice(params);
+    const greeks = calculator.calculate(logitNormal, params, exact);
+
+    expect(greeks.delta).toBe(exact.delta);
+    expect(greeks.gamma).toBe(exact.gamma);
+    expect(greeks.vega).toBe(exact.vega);
+    expect(Number.isFinite(greeks.vanna)).toBe(true);
+  });
+
+  it('bumps one way on a bound instead of stepping outside it', () => {
+    const model = new BlackScholesBinaryModel();
+    const greeks = calculator.calculate(model, { ...baseParams, currentProbability: 100, volatility: 0 });
+
+    Object.values(greeks).forEach(value => expect(Number.isFinite(value)).toBe(true));
+  });
+
+  it('keeps volga accurate close to zero volatility', () => {
+    const params = { ...baseParams, currentProbability: 45, volatility: 0.004, timeToExpiry: 1 };
+    const { volga } = calculator.calculate(new BumpedOnly(logitNormal), params);
+
+    // Reference by a much finer central difference
+    const h = 1e-5;
+    const priceAt = (volatility) => logitNormal.calculatePrice({ ...params, volatility }).midPrice;
+    const reference = (priceAt(params.volatility + h) - 2 * priceAt(params.volatility) + priceAt(params.volatility - h)) / (h * h) / 10000;
+
+    expectRelativelyClose(volga, reference, 0.02);
+  });
+});
+
+describe('OptionsPricingEngine Greeks', () => {
+  it('quotes the logit-normal closed-form Greeks near 0%', () => {
+    const engine = new OptionsPricingEngine();
+    const chain = engine.priceChain('m', [1], [new Date(Date.now() + 90 * 24 * 60 * 60 * 1000)], {
+      currentPrice: 0.004,
+      model: 'logit-normal',
+      volatility: 3
+    });
+    const [tenor] = chain.quotes;
+    const [call] = tenor.calls;
+
+    const exact = new LogitNormalBinaryModel().calculatePrice({
+      ...baseParams,
+      currentProbability: 0.4,
+      strikeProbability: 1,
+      timeToExpiry: tenor.timeToExpiry,
+      riskFreeRate: tenor.riskFreeRate
+    });
+
+    expect(call.delta).toBeCloseTo(exact.delta, 10);
+    expect(call.gamma).toBeCloseTo(exact.gamma, 6);
+    expect(Number.isFinite(call.volga)).toBe(true);
+  });
+});
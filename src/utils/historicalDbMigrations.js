@@ -0,0 +1,113 @@
+// Ordered schema migrations for the polyczar_historical_data IndexedDB
+// database. Each step upgrades the schema from version - 1 to version inside
+// the browser's versionchange transaction, so an existing database is brought
+// up to date one step at a time without losing stored history. Steps may only
+// add stores and indexes or rewrite records; never delete a store here.
+//
+// To change the schema, append a step with the next version number. Never edit
+// or reorder a step that has shipped: databases that already ran it will not
+// run it again.
+import { CANDLE_RESOLUTIONS, aggregateCandles } from './candles.js';
+
+export const HISTORICAL_DB_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the marketData tick store',
+    migrate(db) {
+      const store = db.createObjectStore("marketData", { keyPath: "id", autoIncrement: true });
+      store.createIndex("marketId", "marketId", { unique: false });
+      store.createIndex("timestamp", "timestamp", { unique: false });
+    }
+  },
+  {
+    version: 2,
+    description: 'Add OHLCV candle rollups and roll up stored ticks',
+    migrate(db, transaction) {
+      db.createObjectStore("candles", { keyPath: ["marketId", "resolution", "start"] });
+      backfillCandles(transaction);
+    }
+  },
+  {
+    version: 3,
+    description: 'Index ticks by [marketId, timestamp] and store timestamps as Dates',
+    migrate(db, transaction) {
+      const store = transaction.objectStore("marketData");
+      store.createIndex("marketId_timestamp", ["marketId", "timestamp"], { unique: false });
+      normalizeTimestamps(store);
+    }
+  },
+  {
+    version: 4,
+    description: 'Record applied migrations',
+    migrate(db) {
+      db.createObjectStore("migrations", { keyPath: "version" });
+    }
+  }
+];
+
+export const HISTORICAL_DB_VERSION = HISTORICAL_DB_MIGRATIONS[HISTORICAL_DB_MIGRATIONS.length - 1].version;
+
+// Steps a database at oldVersion still needs, in order
+export function getPendingMigrations(oldVersion) {
+  return HISTORICAL_DB_MIGRATIONS.filter(migration => migration.version > oldVersion);
+}
+
+// Run every pending step inside an upgrade transaction and record each one in
+// the migrations store once it exists. A step that throws aborts the whole
+// upgrade, which leaves the database at its previous version.
+export function runMigrations(db, transaction, oldVersion) {
+  const applied = [];
+
+  for (const migration of getPendingMigrations(oldVersion)) {
+    migration.migrate(db, transaction);
+    applied.push(migration);
+  }
+
+  if (db.objectStoreNames.contains("migrations")) {
+    const appliedAt = new Date();
+    const history = transaction.objectStore("migrations");
+    applied.forEach(({ version, description }) => history.put({ version, description, appliedAt }));
+  }
+
+  return applied.map(migration => migration.version);
+}
+
+// Rebuild candles from every stored tick
+function backfillCandles(transaction) {
+  const ticksByMarket = new Map();
+  const request = transaction.objectStore("marketData").openCursor();
+
+  request.onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (cursor) {
+      const tick = cursor.value;
+      if (!ticksByMarket.has(tick.marketId)) ticksByMarket.set(tick.marketId, []);
+      ticksByMarket.get(tick.marketId).push(tick);
+      cursor.continue();
+      return;
+    }
+
+    const candleStore = transaction.objectStore("candles");
+    ticksByMarket.forEach((ticks, marketId) => {
+      for (const resolution of Object.keys(CANDLE_RESOLUTIONS)) {
+        aggregateCandles(ticks, resolution, marketId).forEach(candle => candleStore.put(candle));
+      }
+    });
+  };
+}
+
+// Range bounds are Dates, so older string timestamps are converted
+function normalizeTimestamps(store) {
+  const request = store.openCursor();
+
+  request.onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+
+    const record = cursor.value;
+    if (!(record.timestamp instanceof Date)) {
+      cursor.update({ ...record, timestamp: new Date(record.timestamp) });
+    }
+    cursor.continue();
+  };
+}
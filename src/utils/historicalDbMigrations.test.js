@@ -0,0 +1,87 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { HISTORICAL_DB_MIGRATIONS, HISTORICAL_DB_VERSION, getPendingMigrations } from './historicalDbMigrations';
+import { IndexedDbHistoricalStore } from './historicalStores';
+
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+  globalThis.IDBKeyRange = IDBKeyRange;
+});
+
+// A database as the first release left it: version 1 with string timestamps
+const createVersionOneDatabase = (name, ticks) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(name, 1);
+
+  request.onupgradeneeded = (event) => {
+    HISTORICAL_DB_MIGRATIONS[0].migrate(event.target.result, event.target.transaction);
+    const store = event.target.transaction.objectStore("marketData");
+    ticks.forEach(tick => store.add(tick));
+  };
+  request.onsuccess = (event) => {
+    event.target.result.close();
+    resolve();
+  };
+  request.onerror = (event) => reject(event.target.error);
+});
+
+const openStore = async (name) => {
+  const store = new IndexedDbHistoricalStore(name);
+  await store.open();
+  return store;
+};
+
+describe('historical database migrations', () => {
+  it('lists the steps a database still needs in version order', () => {
+    expect(HISTORICAL_DB_MIGRATIONS.map(migration => migration.version)).toEqual([1, 2, 3, 4]);
+    expect(HISTORICAL_DB_VERSION).toBe(4);
+    expect(getPendingMigrations(0).map(migration => migration.version)).toEqual([1, 2, 3, 4]);
+    expect(getPendingMigrations(2).map(migration => migration.version)).toEqual([3, 4]);
+    expect(getPendingMigrations(HISTORICAL_DB_VERSION)).toEqual([]);
+  });
+
+  it('creates a new database by running every step in order', async () => {
+    const store = await openStore('fresh-db');
+    const status = await store.getMigrationStatus();
+
+    expect(status).toMatchObject({ state: 'ready', version: 4, fromVersion: 0, applied: [1, 2, 3, 4], pending: [] });
+    expect(status.history.map(entry => entry.version)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('upgrades an old database in place and keeps its history', async () => {
+    await createVersionOneDatabase('old-db', [
+      { marketId: 'm', price: 0.4, volume: 1, timestamp: '2026-01-01T06:00:00.000Z' },
+      { marketId: 'm', price: 0.6, volume: 2, timestamp: '2026-01-01T18:00:00.000Z' }
+    ]);
+
+    const store = await openStore('old-db');
+    const status = await store.getMigrationStatus();
+    expect(status).toMatchObject({ version: 4, fromVersion: 1, applied: [2, 3, 4] });
+    expect(status.history.map(entry => entry.version)).toEqual([2, 3, 4]);
+
+    // Step 3 stored the timestamps as Dates, so the compound index finds them
+    const ticks = await store.getTicks('m');
+    expect(ticks.map(tick => tick.price)).toEqual([0.4, 0.6]);
+    expect(ticks[0].timestamp).toBeInstanceOf(Date);
+
+    // Step 2 rolled the existing ticks into candles
+    const [daily] = await store.getCandles('m', '1d');
+    expect(daily).toMatchObject({ open: 0.4, high: 0.6, low: 0.4, close: 0.6, volume: 3, count: 2 });
+  });
+
+  it('runs nothing when reopened at the latest version', async () => {
+    await createVersionOneDatabase('old-db', [
+      { marketId: 'm', price: 0.4, volume: 1, timestamp: '2026-01-01T06:00:00.000Z' }
+    ]);
+    const first = await openStore('old-db');
+    const { history } = await first.getMigrationStatus();
+    first.db.close();
+
+    const reopened = await openStore('old-db');
+    const status = await reopened.getMigrationStatus();
+
+    expect(status).toMatchObject({ state: 'ready', version: 4, fromVersion: null, applied: [] });
+    expect(status.history).toEqual(history);
+    expect(await reopened.getTicks('m')).toHaveLength(1);
+    expect(await reopened.getCandles('m', '1d')).toHaveLength(1);
+  });
+});
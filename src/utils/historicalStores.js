@@ -0,0 +1,382 @@
+// Storage adapters behind HistoricalDataService. Every adapter implements:
+//
+//   open()                                      Prepare the store; safe to call once
+//   addTicks(ticks)                             Store { marketId, price, volume, timestamp }
+//                                               ticks and roll them into their candles
+//   getTicks(marketId, { from, to })            Ticks in [from, to], oldest first
+//   getTickPage(marketId, { from, to, limit, cursor, direction })
+//                                               One page of ticks and the nextCursor
+//   getCandles(marketId, resolution, { from })  Candles starting at or after from's candle
+//   deleteTicksBefore(cutoff)                   Drop ticks at or before cutoff
+//   getMigrationStatus()                        Schema state and migration history
+//
+// All methods return promises and timestamps come back as Dates. The
+// IndexedDB adapter is used in browsers and the in-memory adapter everywhere
+// else; JsonlHistoricalStore (jsonlHistoricalStore.js) persists to files in Node.
+import { CANDLE_RESOLUTIONS, getCandleStart, isCandleTick, applyTickToCandle } from './candles.js';
+import { HISTORICAL_DB_VERSION, getPendingMigrations, runMigrations } from './historicalDbMigrations.js';
+
+// Bounds of the valid Date range, used for open-ended queries
+const MIN_DATE = new Date(-8.64e15);
+const MAX_DATE = new Date(8.64e15);
+
+export class IndexedDbHistoricalStore {
+  constructor(dbName = "polyczar_historical_data") {
+    this.dbName = dbName;
+    this.db = null;
+    this.opening = null; // Pending reopen, shared by concurrent calls
+    this.migrationStatus = { state: 'pending', version: null, fromVersion: null, applied: [], error: null };
+  }
+
+  async open() {
+    this.db = await this.openDatabase();
+  }
+
+  // The open connection, reopened if a newer version in another tab closed it
+  async getDatabase() {
+    if (this.db) return this.db;
+
+    if (!this.opening) {
+      this.opening = this.openDatabase()
+        .then(db => {
+          this.db = db;
+          return db;
+        })
+        .finally(() => {
+          this.opening = null;
+        });
+    }
+    return this.opening;
+  }
+
+  async openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, HISTORICAL_DB_VERSION);
+
+      // Apply every schema step between the stored version and the latest
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        const transaction = event.target.transaction;
+        this.migrationStatus = { ...this.migrationStatus, state: 'upgrading', fromVersion: event.oldVersion };
+
+        try {
+          const applied = runMigrations(db, transaction, event.oldVersion);
+          this.migrationStatus = { ...this.migrationStatus, applied };
+        } catch (error) {
+          console.error("Historical data migration failed:", error);
+          this.migrationStatus = { ...this.migrationStatus, state: 'failed', error: error.message };
+          transaction.abort();
+        }
+      };
+
+      // Another tab still has the old version open
+      request.onblocked = () => {
+        this.migrationStatus = { ...this.migrationStatus, state: 'blocked' };
+      };
+
+      request.onsuccess = (event) => {
+        const db = event.target.result;
+
+        // Let a newer version in another tab upgrade instead of blocking it.
+        // The next call reopens, which fails once the stored version is newer.
+        db.onversionchange = () => {
+          db.close();
+          if (this.db === db) this.db = null;
+        };
+
+        this.migrationStatus = { ...this.migrationStatus, state: 'ready', version: db.version, error: null };
+        resolve(db);
+      };
+
+      request.onerror = (event) => {
+        if (this.migrationStatus.state !== 'failed') {
+          this.migrationStatus = { ...this.migrationStatus, state: 'failed', error: event.target.error?.message };
+        }
+        reject(event.target.error);
+      };
+    });
+  }
+
+  async addTicks(ticks) {
+    const db = await this.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["marketData", "candles"], "readwrite");
+      const tickStore = transaction.objectStore("marketData");
+      const candleStore = transaction.objectStore("candles");
+
+      // Group the batch by candle so each candle is read and written once
+      const candleUpdates = new Map(); // "marketId|resolution|start" -> { key, resolution, ticks }
+      for (const tick of ticks) {
+        tickStore.add(tick);
+        if (!isCandleTick(tick)) continue;
+
+        for (const resolution of Object.keys(CANDLE_RESOLUTIONS)) {
+          const key = [tick.marketId, resolution, getCandleStart(tick.timestamp, resolution)];
+          const id = key.join('|');
+          if (!candleUpdates.has(id)) candleUpdates.set(id, { key, resolution, ticks: [] });
+          candleUpdates.get(id).ticks.push(tick);
+        }
+      }
+
+      // Roll the ticks into their candles in the same transaction
+      candleUpdates.forEach(({ key, resolution, ticks: candleTicks }) => {
+        const request = candleStore.get(key);
+
+        request.onsuccess = (event) => {
+          const candle = candleTicks.reduce(
+            (current, tick) => applyTickToCandle(current, tick, tick.marketId, resolution),
+            event.target.result || null
+          );
+          candleStore.put(candle);
+        };
+      });
+
+      transaction.oncomplete = () => resolve(true);
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  async getTicks(marketId, { from = MIN_DATE, to = MAX_DATE } = {}) {
+    const db = await this.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["marketData"], "readonly");
+      const index = transaction.objectStore("marketData").index("marketId_timestamp");
+
+      // Only the market's records inside the window are read
+      const range = IDBKeyRange.bound([marketId, new Date(from)], [marketId, new Date(to)]);
+      const request = index.getAll(range);
+
+      request.onsuccess = (event) => resolve(event.target.result);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  async getTickPage(marketId, { from, to, limit = 1000, cursor = null, direction = 'next' } = {}) {
+    const db = await this.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["marketData"], "readonly");
+      const index = transaction.objectStore("marketData").index("marketId_timestamp");
+      const { lower, upper } = getPageBounds({ from, to, cursor, direction });
+
+      const range = IDBKeyRange.bound([marketId, lower], [marketId, upper]);
+      const request = index.openCursor(range, direction);
+      const data = [];
+
+      request.onsuccess = (event) => {
+        const result = event.target.result;
+        if (!result) {
+          resolve({ data, nextCursor: null });
+          return;
+        }
+
+        if (!isAlreadyReturned(result.value, cursor, direction)) {
+          if (data.length === limit) {
+            resolve({ data, nextCursor: toPageCursor(data[data.length - 1]) });
+            return;
+          }
+          data.push(result.value);
+        }
+
+        result.continue();
+      };
+
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  async getCandles(marketId, resolution, { from = MIN_DATE } = {}) {
+    const db = await this.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["candles"], "readonly");
+      const range = IDBKeyRange.bound(
+        [marketId, resolution, getCandleStart(from, resolution)],
+        [marketId, resolution, Infinity]
+      );
+
+      const request = transaction.objectStore("candles").getAll(range);
+
+      request.onsuccess = (event) => resolve(event.target.result);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  async deleteTicksBefore(cutoff) {
+    const db = await this.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["marketData"], "readwrite");
+      const store = transaction.objectStore("marketData");
+
+      // Use a cursor to iterate through and delete old records
+      const request = store.index("timestamp").openCursor(IDBKeyRange.upperBound(new Date(cutoff)));
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          store.delete(cursor.primaryKey);
+          cursor.continue();
+        } else {
+          resolve(true);
+        }
+      };
+
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  async getMigrationStatus() {
+    const status = {
+      ...this.migrationStatus,
+      storage: 'indexeddb',
+      latestVersion: HISTORICAL_DB_VERSION,
+      pending: getPendingMigrations(this.db ? this.db.version : 0).map(({ version, description }) => ({ version, description }))
+    };
+
+    if (!this.db) {
+      return { ...status, history: [] };
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction(["migrations"], "readonly").objectStore("migrations").getAll();
+
+      request.onsuccess = (event) => resolve({ ...status, history: event.target.result });
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+}
+
+// Keeps everything in process memory; nothing survives a restart
+export class MemoryHistoricalStore {
+  constructor() {
+    this.ticks = []; // Sorted by timestamp, then id
+    this.candles = new Map(); // "marketId|resolution|start" -> candle
+    this.nextId = 1;
+  }
+
+  async open() {}
+
+  async addTicks(ticks) {
+    ticks.forEach(tick => this.storeTick(tick));
+    return true;
+  }
+
+  // Store a tick and update its candles; returns the stored record and the candles it touched
+  storeTick(tick) {
+    const record = { ...tick, id: this.nextId++, timestamp: new Date(tick.timestamp) };
+    const candles = [];
+    this.insertTick(record);
+
+    if (isCandleTick(record)) {
+      for (const resolution of Object.keys(CANDLE_RESOLUTIONS)) {
+        const key = this.getCandleKey(record.marketId, resolution, getCandleStart(record.timestamp, resolution));
+        const candle = applyTickToCandle(this.candles.get(key) || null, record, record.marketId, resolution);
+        this.candles.set(key, candle);
+        candles.push(candle);
+      }
+    }
+
+    return { record, candles };
+  }
+
+  // Binary search keeps ticks sorted even when they arrive out of order
+  insertTick(record) {
+    const time = record.timestamp.getTime();
+    let low = 0;
+    let high = this.ticks.length;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.ticks[middle].timestamp.getTime() <= time) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    this.ticks.splice(low, 0, record);
+  }
+
+  async getTicks(marketId, { from = MIN_DATE, to = MAX_DATE } = {}) {
+    const lower = new Date(from).getTime();
+    const upper = new Date(to).getTime();
+
+    // Copies, as IndexedDB would return, so callers cannot edit stored ticks
+    return this.ticks
+      .filter(tick => {
+        const time = tick.timestamp.getTime();
+        return tick.marketId === marketId && time >= lower && time <= upper;
+      })
+      .map(tick => ({ ...tick }));
+  }
+
+  async getTickPage(marketId, { from, to, limit = 1000, cursor = null, direction = 'next' } = {}) {
+    const { lower, upper } = getPageBounds({ from, to, cursor, direction });
+    const inRange = await this.getTicks(marketId, { from: lower, to: upper });
+    const ordered = direction === 'next' ? inRange : inRange.reverse();
+    const remaining = ordered.filter(tick => !isAlreadyReturned(tick, cursor, direction));
+    const data = remaining.slice(0, limit);
+
+    return {
+      data,
+      nextCursor: remaining.length > limit ? toPageCursor(data[data.length - 1]) : null
+    };
+  }
+
+  async getCandles(marketId, resolution, { from = MIN_DATE } = {}) {
+    const start = getCandleStart(from, resolution);
+
+    return Array.from(this.candles.values())
+      .filter(candle => candle.marketId === marketId && candle.resolution === resolution && candle.start >= start)
+      .sort((a, b) => a.start - b.start)
+      .map(candle => ({ ...candle }));
+  }
+
+  async deleteTicksBefore(cutoff) {
+    const time = new Date(cutoff).getTime();
+    this.ticks = this.ticks.filter(tick => tick.timestamp.getTime() > time);
+    return true;
+  }
+
+  async getMigrationStatus() {
+    return { state: 'ready', storage: 'memory', version: null, latestVersion: null, applied: [], pending: [], history: [], error: null };
+  }
+
+  getCandleKey(marketId, resolution, start) {
+    return `${marketId}|${resolution}|${start}`;
+  }
+}
+
+// IndexedDB in browsers and workers; memory anywhere else
+export function createDefaultHistoricalStore() {
+  return typeof indexedDB !== 'undefined' ? new IndexedDbHistoricalStore() : new MemoryHistoricalStore();
+}
+
+// Paging resumes at the cursor's timestamp; ties there are skipped by record id
+function getPageBounds({ from, to, cursor, direction }) {
+  let lower = from ? new Date(from) : MIN_DATE;
+  let upper = to ? new Date(to) : MAX_DATE;
+
+  if (cursor) {
+    if (direction === 'next') {
+      lower = new Date(cursor.timestamp);
+    } else {
+      upper = new Date(cursor.timestamp);
+    }
+  }
+
+  return { lower, upper };
+}
+
+function isAlreadyReturned(record, cursor, direction) {
+  return Boolean(cursor) &&
+    new Date(record.timestamp).getTime() === new Date(cursor.timestamp).getTime() &&
+    (direction === 'next' ? record.id <= cursor.id : record.id >= cursor.id);
+}
+
+function toPageCursor(record) {
+  return { timestamp: record.timestamp, id: record.id };
+}
@@ -0,0 +1,94 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { IndexedDbHistoricalStore, MemoryHistoricalStore } from './historicalStores';
+import { HistoricalDataService } from './optionsPricing';
+
+// Each test gets an empty IndexedDB
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+  globalThis.IDBKeyRange = IDBKeyRange;
+});
+
+const deleteDatabase = (name) => new Promise((resolve, reject) => {
+  const request = indexedDB.deleteDatabase(name);
+  request.onsuccess = () => resolve();
+  request.onerror = (event) => reject(event.target.error);
+});
+
+describe('IndexedDbHistoricalStore', () => {
+  it('reopens after another tab closes the connection for a version change', async () => {
+    const service = new HistoricalDataService(new IndexedDbHistoricalStore('test-db'));
+    const timestamp = new Date();
+    await service.storeDataPoint('m', { price: 0.4, volume: 1, timestamp });
+
+    // Deleting the database asks every open connection to close first
+    await deleteDatabase('test-db');
+    expect(service.store.db).toBeNull();
+
+    await service.storeDataPoint('m', { price: 0.6, volume: 1, timestamp });
+    const ticks = await service.getHistoricalData('m', 1);
+    expect(ticks.map(tick => tick.price)).toEqual([0.6]);
+  });
+});
+
+describe.each([
+  ['IndexedDbHistoricalStore', () => new IndexedDbHistoricalStore('paging-db')],
+  ['MemoryHistoricalStore', () => new MemoryHistoricalStore()]
+])('%s tick paging', (name, createStore) => {
+  const start = Date.UTC(2026, 0, 1);
+  const MINUTE_MS = 60 * 1000;
+
+  // Ten ticks a minute apart, with three sharing the fifth minute, plus another market's
+  const createFilledStore = async () => {
+    const store = createStore();
+    await store.open();
+    await store.addTicks([
+      ...[0, 1, 2, 3, 4, 4, 4, 5, 6, 7].map((minute, i) => ({
+        marketId: 'm',
+        price: (i + 1) / 100,
+        volume: 1,
+        timestamp: new Date(start + minute * MINUTE_MS)
+      })),
+      { marketId: 'other', price: 0.5, volume: 1, timestamp: new Date(start + 2 * MINUTE_MS) }
+    ]);
+    return store;
+  };
+
+  const readAllPages = async (store, options) => {
+    const pages = [];
+    let cursor = null;
+    do {
+      const page = await store.getTickPage('m', { ...options, cursor });
+      pages.push(page.data.map(tick => tick.price));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return pages;
+  };
+
+  it('walks forward a page at a time without skipping or repeating ties', async () => {
+    const store = await createFilledStore();
+    const pages = await readAllPages(store, { limit: 3 });
+
+    // The three ticks at minute 4 straddle a page boundary
+    expect(pages).toEqual([[0.01, 0.02, 0.03], [0.04, 0.05, 0.06], [0.07, 0.08, 0.09], [0.1]]);
+  });
+
+  it('walks backward from the newest tick', async () => {
+    const store = await createFilledStore();
+    const pages = await readAllPages(store, { limit: 4, direction: 'prev' });
+
+    expect(pages).toEqual([[0.1, 0.09, 0.08, 0.07], [0.06, 0.05, 0.04, 0.03], [0.02, 0.01]]);
+  });
+
+  it('pages within a time window and ends on a full last page', async () => {
+    const store = await createFilledStore();
+    const window = { from: new Date(start + 2 * MINUTE_MS), to: new Date(start + 5 * MINUTE_MS) };
+
+    const pages = await readAllPages(store, { ...window, limit: 3 });
+    expect(pages).toEqual([[0.03, 0.04, 0.05], [0.06, 0.07, 0.08]]);
+
+    const ticks = await store.getTicks('m', window);
+    expect(ticks.map(tick => tick.price)).toEqual([0.03, 0.04, 0.05, 0.06, 0.07, 0.08]);
+    expect(ticks[0].timestamp).toBeInstanceOf(Date);
+  });
+});
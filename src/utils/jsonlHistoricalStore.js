@@ -0,0 +1,124 @@
+// File-backed historical store for Node scripts and headless backtests.
+// Ticks and candle updates are appended as JSON lines to ticks.jsonl and
+// candles.jsonl in a directory; on open both logs are replayed into memory, the
+// latest line for a candle winning. Deleting ticks compacts both files.
+// Node built-ins are loaded on open so browser bundles never pull them in.
+import { MemoryHistoricalStore } from './historicalStores.js';
+
+export class JsonlHistoricalStore extends MemoryHistoricalStore {
+  constructor(directory) {
+    super();
+    this.directory = directory;
+    this.writes = Promise.resolve(); // Appends are applied in call order
+  }
+
+  async open() {
+    this.fs = await import('fs/promises');
+    const path = await import('path');
+    this.ticksFile = path.join(this.directory, 'ticks.jsonl');
+    this.candlesFile = path.join(this.directory, 'candles.jsonl');
+
+    await this.fs.mkdir(this.directory, { recursive: true });
+
+    for (const tick of await this.readLines(this.ticksFile)) {
+      const record = { ...tick, timestamp: new Date(tick.timestamp) };
+      this.insertTick(record);
+      this.nextId = Math.max(this.nextId, record.id + 1);
+    }
+
+    for (const candle of await this.readLines(this.candlesFile)) {
+      this.candles.set(this.getCandleKey(candle.marketId, candle.resolution, candle.start), candle);
+    }
+  }
+
+  async addTicks(ticks) {
+    const tickLines = [];
+    const candles = new Map(); // Only each candle's final state in the batch is appended
+
+    for (const tick of ticks) {
+      const stored = this.storeTick(tick);
+      tickLines.push(JSON.stringify(stored.record));
+      stored.candles.forEach(candle => {
+        candles.set(this.getCandleKey(candle.marketId, candle.resolution, candle.start), candle);
+      });
+    }
+
+    const candleLines = Array.from(candles.values()).map(candle => JSON.stringify(candle));
+
+    await this.enqueueWrite(async () => {
+      if (tickLines.length > 0) {
+        await this.fs.appendFile(this.ticksFile, `${tickLines.join('\n')}\n`);
+      }
+      if (candleLines.length > 0) {
+        await this.fs.appendFile(this.candlesFile, `${candleLines.join('\n')}\n`);
+      }
+    });
+
+    return true;
+  }
+
+  async deleteTicksBefore(cutoff) {
+    await super.deleteTicksBefore(cutoff);
+
+    // Rewrite both logs with only what is still held in memory
+    await this.enqueueWrite(async () => {
+      await this.writeLines(this.ticksFile, this.ticks);
+      await this.writeLines(this.candlesFile, Array.from(this.candles.values()));
+    });
+
+    return true;
+  }
+
+  async getMigrationStatus() {
+    return { ...(await super.getMigrationStatus()), storage: 'jsonl' };
+  }
+
+  // A failed write is reported to its caller without blocking later writes
+  enqueueWrite(write) {
+    const result = this.writes.then(write);
+    this.writes = result.catch(() => {});
+    return result;
+  }
+
+  async readLines(file) {
+    let contents;
+    try {
+      contents = await this.fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const lines = contents.split('\n');
+    const records = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      if (lines[i].trim() === '') continue;
+
+      try {
+        records.push(JSON.parse(lines[i]));
+      } catch (error) {
+        // Only the last line can be cut short by a crash mid-append; anything
+        // earlier means the file is corrupt
+        const isLastLine = lines.slice(i + 1).every(line => line.trim() === '');
+        if (!isLastLine) {
+          throw new Error(`Corrupt line ${i + 1} in ${file}: ${error.message}`);
+        }
+
+        console.warn(`Dropping truncated last line of ${file}`);
+        await this.fs.truncate(file, new TextEncoder().encode(lines.slice(0, i).map(line => `${line}\n`).join('')).length);
+      }
+    }
+
+    return records;
+  }
+
+  // Write to a temporary file first so a crash never leaves a half-written log
+  async writeLines(file, records) {
+    const temporaryFile = `${file}.tmp`;
+    const contents = records.map(record => JSON.stringify(record)).join('\n');
+
+    await this.fs.writeFile(temporaryFile, contents ? `${contents}\n` : '');
+    await this.fs.rename(temporaryFile, file);
+  }
+}
@@ -0,0 +1,96 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { execFileSync } from 'child_process';
+import process from 'node:process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync, appendFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { JsonlHistoricalStore } from './jsonlHistoricalStore';
+
+const directories = [];
+const createDirectory = () => {
+  const directory = mkdtempSync(join(tmpdir(), 'polyczar-jsonl-'));
+  directories.push(directory);
+  return directory;
+};
+
+afterEach(() => {
+  directories.splice(0).forEach(directory => rmSync(directory, { recursive: true, force: true }));
+});
+
+describe('JsonlHistoricalStore', () => {
+  it('persists ticks and candles across reopen', async () => {
+    const directory = createDirectory();
+    const store = new JsonlHistoricalStore(directory);
+    await store.open();
+    await store.addTicks([
+      { marketId: 'm', price: 0.4, volume: 1, timestamp: new Date('2026-01-01T00:00:00Z') },
+      { marketId: 'm', price: 0.6, volume: 2, timestamp: new Date('2026-01-01T01:00:00Z') }
+    ]);
+
+    const reopened = new JsonlHistoricalStore(directory);
+    await reopened.open();
+
+    const ticks = await reopened.getTicks('m');
+    expect(ticks.map(tick => tick.price)).toEqual([0.4, 0.6]);
+    expect(ticks[0].timestamp).toBeInstanceOf(Date);
+
+    const [daily] = await reopened.getCandles('m', '1d');
+    expect(daily).toMatchObject({ open: 0.4, high: 0.6, low: 0.4, close: 0.6, volume: 3, count: 2 });
+  });
+
+  it('drops a truncated last line and keeps appending cleanly', async () => {
+    const directory = createDirectory();
+    const store = new JsonlHistoricalStore(directory);
+    await store.open();
+    await store.addTicks([{ marketId: 'm', price: 0.5, volume: 1, timestamp: new Date('2026-01-01T00:00:00Z') }]);
+
+    // Simulate a crash part-way through an append
+    appendFileSync(join(directory, 'ticks.jsonl'), '{"marketId":"m","pri');
+
+    const reopened = new JsonlHistoricalStore(directory);
+    await reopened.open();
+    expect((await reopened.getTicks('m')).length).toBe(1);
+
+    await reopened.addTicks([{ marketId: 'm', price: 0.7, volume: 1, timestamp: new Date('2026-01-01T02:00:00Z') }]);
+    const lines = readFileSync(join(directory, 'ticks.jsonl'), 'utf8').trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).price)).toEqual([0.5, 0.7]);
+  });
+
+  it('refuses a corrupt line before the end of the file', async () => {
+    const directory = createDirectory();
+    writeFileSync(join(directory, 'ticks.jsonl'), 'not json\n{"marketId":"m","price":0.5,"id":1,"timestamp":"2026-01-01T00:00:00Z"}\n');
+
+    await expect(new JsonlHistoricalStore(directory).open()).rejects.toThrow(/Corrupt line 1/);
+  });
+
+  it('runs the engine and a backtest in plain Node', () => {
+    const directory = createDirectory();
+    const engineUrl = new URL('./optionsPricing.js', import.meta.url).href;
+    const storeUrl = new URL('./jsonlHistoricalStore.js', import.meta.url).href;
+
+    // Same steps as the README's headless example, without Vite's resolver
+    const script = `
+      import { OptionsPricingEngine } from ${JSON.stringify(engineUrl)};
+      import { JsonlHistoricalStore } from ${JSON.stringify(storeUrl)};
+
+      const engine = new OptionsPricingEngine({ historicalStore: new JsonlHistoricalStore(${JSON.stringify(directory)}) });
+      await engine.initialize();
+
+      const now = Date.now();
+      const points = [];
+      for (let hour = 0; hour < 24 * 60; hour++) {
+        points.push({ marketId: 'm', price: 0.5 + 0.2 * Math.sin(hour / 30), volume: 1, timestamp: new Date(now - (24 * 60 - hour) * 3600000) });
+      }
+      await engine.historicalDataService.storeDataPoints(points);
+
+      const report = await engine.backtestPricingModel('m', { historyDays: 60 });
+      console.log(JSON.stringify({ count: report.count, brierScore: report.brierScore }));
+    `;
+
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], { encoding: 'utf8' });
+    const result = JSON.parse(output.trim().split('\n').pop());
+
+    expect(result.count).toBeGreaterThan(0);
+    expect(result.brierScore).toBeGreaterThanOrEqual(0);
+  });
+});
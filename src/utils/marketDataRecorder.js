@@ -0,0 +1,161 @@
+// Persists MarketMonitor price updates into HistoricalDataService so the
+// volatility estimators see real accumulated history. Repeated updates are
+// dropped, writes are batched, and gaps in a market's history (first sight in
+// this session, or polling paused for a while) are filled from a historical
+// price source such as PolymarketService.getHistoricalPrices. Prices flagged
+// generated (simulated ticks, mock fallbacks) are never stored as history.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time ranges the historical price source accepts, shortest first
+const BACKFILL_RANGES = [
+  { timeRange: '7d', days: 7 },
+  { timeRange: '30d', days: 30 },
+  { timeRange: '90d', days: 90 }
+];
+
+export class MarketDataRecorder {
+  constructor(historicalDataService, options = {}) {
+    this.historicalDataService = historicalDataService;
+    this.options = {
+      batchSize: 50,                      // Pending ticks that trigger a write
+      flushIntervalMs: 5000,              // Longest a tick waits before being written
+      minUnchangedIntervalMs: 60 * 1000,  // Unchanged prices are recorded at most this often
+      maxGapMs: 15 * 60 * 1000,           // Longer silences are backfilled
+      backfillDays: 30,                   // How far back to fill a market with no history
+      onFlush: null,                      // Called with the market IDs written in each batch
+      ...options
+    };
+    this.pending = [];
+    this.lastRecorded = new Map(); // Market ID -> { price, time } of the latest accepted tick
+    this.backfills = new Map(); // Market ID -> latest queued backfill
+    this.historicalPriceSource = null;
+    this.flushTimer = null;
+    this.flushing = Promise.resolve();
+  }
+
+  // (marketId, timeRange) => Promise<[{ timestamp, price, generated }]>
+  setHistoricalPriceSource(source) {
+    this.historicalPriceSource = source;
+  }
+
+  // Record every update a MarketMonitor publishes; returns an unsubscribe function
+  attach(marketMonitor) {
+    return marketMonitor.addListener((marketId, data) => this.record(marketId, data));
+  }
+
+  record(marketId, data) {
+    if (!Number.isFinite(data.price) || data.generated) return false;
+
+    const time = new Date(data.timestamp || Date.now()).getTime();
+    const last = this.lastRecorded.get(marketId);
+
+    if (last) {
+      // Same or older timestamp: a replayed or out-of-order update
+      if (time <= last.time) return false;
+      // Flat prices only need an occasional heartbeat
+      if (data.price === last.price && time - last.time < this.options.minUnchangedIntervalMs) return false;
+    }
+
+    // Fill the hole before this tick, from the store on first sight or from the last tick
+    if (!last) {
+      this.scheduleBackfill(marketId, null, time);
+    } else if (time - last.time > this.options.maxGapMs) {
+      this.scheduleBackfill(marketId, last.time, time);
+    }
+
+    this.lastRecorded.set(marketId, { price: data.price, time });
+    this.pending.push({ marketId, price: data.price, volume: data.volume, timestamp: new Date(time) });
+
+    if (this.pending.length >= this.options.batchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.options.flushIntervalMs);
+    }
+
+    return true;
+  }
+
+  // Write everything pending in one batch; batches are written in order
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    const batch = this.pending;
+    this.pending = [];
+    if (batch.length === 0) return this.flushing;
+
+    this.flushing = this.flushing
+      .then(() => this.historicalDataService.storeDataPoints(batch))
+      .then(() => this.notifyFlush(batch))
+      .catch(error => console.error("Failed to record market data:", error));
+
+    return this.flushing;
+  }
+
+  notifyFlush(batch) {
+    if (this.options.onFlush) {
+      this.options.onFlush(Array.from(new Set(batch.map(point => point.marketId))));
+    }
+  }
+
+  // Backfills for the same market run one after another
+  scheduleBackfill(marketId, from, to) {
+    if (!this.historicalPriceSource) return;
+
+    const previous = this.backfills.get(marketId) || Promise.resolve();
+    const backfill = previous
+      .then(() => this.backfill(marketId, from, to))
+      .catch(error => console.error(`Failed to backfill history for ${marketId}:`, error))
+      .finally(() => {
+        if (this.backfills.get(marketId) === backfill) this.backfills.delete(marketId);
+      });
+
+    this.backfills.set(marketId, backfill);
+  }
+
+  // Store source prices strictly between the last stored tick (or `from`) and `to`
+  async backfill(marketId, from, to) {
+    let start = from;
+    if (start === null) {
+      const latest = await this.historicalDataService.getHistoricalDataPage(marketId, {
+        to: new Date(to - 1),
+        limit: 1,
+        direction: 'prev'
+      });
+      start = latest.data.length > 0
+        ? new Date(latest.data[0].timestamp).getTime()
+        : to - this.options.backfillDays * DAY_MS;
+    }
+
+    if (to - start <= this.options.maxGapMs) return 0;
+
+    const gapDays = (Date.now() - start) / DAY_MS;
+    const range = BACKFILL_RANGES.find(candidate => candidate.days >= gapDays) || BACKFILL_RANGES[BACKFILL_RANGES.length - 1];
+    const prices = await this.historicalPriceSource(marketId, range.timeRange);
+
+    const points = (prices || [])
+      .filter(point => !point.generated)
+      .map(point => ({ marketId, price: point.price, volume: point.volume, timestamp: new Date(point.timestamp) }))
+      .filter(point => {
+        const time = point.timestamp.getTime();
+        return Number.isFinite(point.price) && time > start && time < to;
+      })
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    if (points.length === 0) return 0;
+
+    await this.historicalDataService.storeDataPoints(points);
+    this.notifyFlush(points);
+
+    return points.length;
+  }
+
+  // Write pending ticks and wait for any backfills still running
+  async drain() {
+    await Promise.all(Array.from(this.backfills.values()));
+    await this.flush();
+  }
+}
@@ -0,0 +1,271 @@
+// Monte Carlo pricer for path-dependent binary options on a market's probability
+
+export const PATH_DEPENDENT_OPTION_TYPES = [
+  'one-touch',        // Pays 1 if the probability touches the barrier before expiry
+  'no-touch',         // Pays 1 if it never does
+  'double-one-touch', // Pays 1 if either the lower or the upper barrier is touched
+  'double-no-touch',  // Pays 1 if the probability stays between both barriers
+  'knock-in',         // Binary call/put that only comes alive once the barrier is touched
+  'knock-out'         // Binary call/put that dies once the barrier is touched
+];
+
+// Small, fast seedable PRNG (mulberry32) so simulations can be replayed exactly
+export function createSeededRandom(seed = 1) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draws from a uniform source (Box-Muller, caching the spare value)
+export function createNormalGenerator(random) {
+  let spare = null;
+
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+
+    let u1 = random();
+    while (u1 <= Number.EPSILON) u1 = random();
+    const u2 = random();
+    const radius = Math.sqrt(-2 * Math.log(u1));
+
+    spare = radius * Math.sin(2 * Math.PI * u2);
+    return radius * Math.cos(2 * Math.PI * u2);
+  };
+}
+
+export class MonteCarloPricer {
+  constructor(options = {}) {
+    this.options = {
+      paths: 10000,
+      stepsPerDay: 4,
+      seed: 42,
+      dynamics: 'logit-normal', // 'logit-normal' or 'lognormal', matching the closed-form models
+      antithetic: true,
+      ...options
+    };
+  }
+
+  price(params) {
+    const {
+      currentProbability,  // Current probability (0-100)
+      timeToExpiry,        // Time to expiry in years
+      timeToResolution,    // Optional time until the underlying market resolves, in years
+      volatility,          // Annualized volatility
+      riskFreeRate,        // Risk-free rate
+      optionType,          // One of PATH_DEPENDENT_OPTION_TYPES
+      barrier,             // Barrier probability (0-100) for single-barrier options
+      lowerBarrier,        // Lower barrier probability (0-100) for double-barrier options
+      upperBarrier,        // Upper barrier probability (0-100) for double-barrier options
+      strikeProbability,   // Strike probability (0-100) for knock-in/knock-out options
+      payoffType = 'call', // 'call' or 'put' for knock-in/knock-out options
+      liquidityFactor = 0, // Factor to adjust spread based on liquidity
+      paths = this.options.paths,
+      seed = this.options.seed,
+      dynamics = this.options.dynamics
+    } = params;
+
+    if (!PATH_DEPENDENT_OPTION_TYPES.includes(optionType)) {
+      throw new Error(`Unsupported path-dependent option type: ${optionType}`);
+    }
+
+    const process = this.createProcess(dynamics, volatility, riskFreeRate);
+    const start = process.transform(currentProbability / 100);
+    const barriers = this.resolveBarriers(process, {
+      optionType,
+      currentProbability,
+      barrier,
+      lowerBarrier,
+      upperBarrier
+    });
+
+    const strike = strikeProbability !== undefined ? strikeProbability / 100 : null;
+    if ((optionType === 'knock-in' || optionType === 'knock-out') && strike === null) {
+      throw new Error(`${optionType} options require a strikeProbability`);
+    }
+
+    // A market that resolves before expiry only diffuses until it resolves, then
+    // settles at 0 or 1 for the rest of the option's life
+    const resolves = timeToResolution !== undefined && timeToExpiry >= timeToResolution;
+    const horizon = resolves ? Math.max(0, timeToResolution) : timeToExpiry;
+
+    const steps = horizon > 0
+      ? Math.max(1, Math.ceil(horizon * 365 * this.options.stepsPerDay))
+      : 0;
+    const dt = steps > 0 ? horizon / steps : 0;
+
+    const random = createSeededRandom(seed);
+    const normal = createNormalGenerator(random);
+    const discountFactor = Math.exp(-riskFreeRate * timeToExpiry);
+    const payoffOf = (path) => discountFactor * this.calculatePayoff(optionType, path, strike, payoffType);
+    const simulate = (pathShocks) => {
+      const path = this.simulatePath(process, start, pathShocks, dt, barriers, random);
+      return resolves ? this.resolvePath(path, barriers, random) : path;
+    };
+
+    // Antithetic pairs count as one sample each so the standard error stays honest
+    const samples = [];
+    const sampleCount = this.options.antithetic ? Math.ceil(paths / 2) : paths;
+    for (let i = 0; i < sampleCount; i++) {
+      const shocks = Array.from({ length: steps }, normal);
+      const path = simulate(shocks);
+
+      if (this.options.antithetic) {
+        const mirrored = simulate(shocks.map(z => -z));
+        samples.push((payoffOf(path) + payoffOf(mirrored)) / 2);
+      } else {
+        samples.push(payoffOf(path));
+      }
+    }
+
+    const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+    const variance = samples.length > 1
+      ? samples.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (samples.length - 1)
+      : 0;
+    const standardError = Math.sqrt(variance / samples.length);
+
+    const midPrice = Math.max(0, Math.min(1, mean));
+    const halfSpread = liquidityFactor * volatility * Math.sqrt(horizon) / 2;
+
+    return {
+      midPrice,
+      bidPrice: Math.max(0, midPrice - halfSpread),
+      askPrice: Math.min(1, midPrice + halfSpread),
+      standardError,
+      confidenceInterval: [midPrice - 1.96 * standardError, midPrice + 1.96 * standardError],
+      paths: this.options.antithetic ? sampleCount * 2 : sampleCount,
+      steps,
+      seed,
+      dynamics,
+      settlesOnResolution: resolves,
+      timestamp: new Date()
+    };
+  }
+
+  // Both dynamics are simulated as arithmetic Brownian motion in a transformed space
+  createProcess(dynamics, volatility, riskFreeRate) {
+    const clamp = (p) => Math.min(1 - 1e-9, Math.max(1e-9, p));
+
+    switch (dynamics) {
+      case 'logit-normal':
+        return {
+          transform: (p) => Math.log(clamp(p) / (1 - clamp(p))),
+          inverse: (x) => 1 / (1 + Math.exp(-x)),
+          drift: 0,
+          volatility
+        };
+      case 'lognormal':
+        return {
+          transform: (p) => Math.log(Math.max(1e-9, p)),
+          inverse: (x) => Math.exp(x),
+          drift: riskFreeRate - (volatility * volatility) / 2,
+          volatility
+        };
+      default:
+        throw new Error(`Unknown Monte Carlo dynamics: ${dynamics}`);
+    }
+  }
+
+  resolveBarriers(process, { optionType, currentProbability, barrier, lowerBarrier, upperBarrier }) {
+    if (optionType === 'double-one-touch' || optionType === 'double-no-touch') {
+      if (lowerBarrier === undefined || upperBarrier === undefined || lowerBarrier >= upperBarrier) {
+        throw new Error(`${optionType} options require lowerBarrier < upperBarrier`);
+      }
+
+      return {
+        lower: process.transform(lowerBarrier / 100),
+        upper: process.transform(upperBarrier / 100)
+      };
+    }
+
+    if (barrier === undefined) {
+      throw new Error(`${optionType} options require a barrier`);
+    }
+
+    // Single barriers sit above or below the current probability
+    const level = process.transform(barrier / 100);
+    return barrier >= currentProbability
+      ? { lower: null, upper: level }
+      : { lower: level, upper: null };
+  }
+
+  simulatePath(process, start, shocks, dt, barriers, random) {
+    const { lower, upper } = barriers;
+    const stepDrift = process.drift * dt;
+    const stepStdDev = process.volatility * Math.sqrt(dt);
+
+    let x = start;
+    let touchedLower = lower !== null && x <= lower;
+    let touchedUpper = upper !== null && x >= upper;
+
+    for (const shock of shocks) {
+      const next = x + stepDrift + stepStdDev * shock;
+
+      // Brownian-bridge check catches crossings between monitoring dates
+      if (lower !== null && !touchedLower) {
+        touchedLower = this.crossedBetween(x, next, lower, stepStdDev, random);
+      }
+      if (upper !== null && !touchedUpper) {
+        touchedUpper = this.crossedBetween(x, next, upper, stepStdDev, random);
+      }
+
+      x = next;
+    }
+
+    return { terminal: process.inverse(x), touchedLower, touchedUpper };
+  }
+
+  // Settle a path on the market's outcome, YES with probability equal to its
+  // price at resolution. The jump to 0 or 1 touches any barrier on the way.
+  resolvePath(path, barriers, random) {
+    const resolvesYes = random() < Math.min(1, Math.max(0, path.terminal));
+
+    return {
+      terminal: resolvesYes ? 1 : 0,
+      touchedLower: path.touchedLower || (barriers.lower !== null && !resolvesYes),
+      touchedUpper: path.touchedUpper || (barriers.upper !== null && resolvesYes)
+    };
+  }
+
+  crossedBetween(from, to, level, stepStdDev, random) {
+    if ((from - level) * (to - level) <= 0) return true;
+    if (stepStdDev <= 0) return false;
+
+    const crossingProbability = Math.exp(-2 * (level - from) * (level - to) / (stepStdDev * stepStdDev));
+    return random() < crossingProbability;
+  }
+
+  calculatePayoff(optionType, path, strike, payoffType) {
+    const touched = path.touchedLower || path.touchedUpper;
+    const binaryPayoff = () => {
+      const inTheMoney = payoffType.toLowerCase() === 'call'
+        ? path.terminal > strike
+        : path.terminal < strike;
+      return inTheMoney ? 1 : 0;
+    };
+
+    switch (optionType) {
+      case 'one-touch':
+      case 'double-one-touch':
+        return touched ? 1 : 0;
+      case 'no-touch':
+      case 'double-no-touch':
+        return touched ? 0 : 1;
+      case 'knock-in':
+        return touched ? binaryPayoff() : 0;
+      case 'knock-out':
+        return touched ? 0 : binaryPayoff();
+      default:
+        return 0;
+    }
+  }
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { MonteCarloPricer } from './monteCarlo';
+
+describe('MonteCarloPricer', () => {
+  const pricer = new MonteCarloPricer({ paths: 1000, stepsPerDay: 2 });
+  const oneTouch = {
+    currentProbability: 50,
+    timeToExpiry: 30 / 365,
+    volatility: 1.5,
+    riskFreeRate: 0.05,
+    optionType: 'one-touch',
+    barrier: 65
+  };
+
+  it('replays a seed exactly', () => {
+    const first = pricer.price({ ...oneTouch, seed: 7 });
+    const replay = pricer.price({ ...oneTouch, seed: 7 });
+    const other = pricer.price({ ...oneTouch, seed: 8 });
+
+    expect(replay.midPrice).toBe(first.midPrice);
+    expect(replay.standardError).toBe(first.standardError);
+    expect(other.midPrice).not.toBe(first.midPrice);
+  });
+
+  it('reports a standard error that matches the spread across seeds', () => {
+    const runs = Array.from({ length: 20 }, (_, seed) => pricer.price({ ...oneTouch, seed: seed + 1 }));
+    const prices = runs.map(run => run.midPrice);
+    const mean = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+    const spread = Math.sqrt(prices.reduce((sum, price) => sum + Math.pow(price - mean, 2), 0) / (prices.length - 1));
+    const reported = runs.reduce((sum, run) => sum + run.standardError, 0) / runs.length;
+
+    expect(reported).toBeGreaterThan(0);
+    expect(spread / reported).toBeGreaterThan(0.5);
+    expect(spread / reported).toBeLessThan(2);
+
+    const [run] = runs;
+    expect(run.confidenceInterval[0]).toBeCloseTo(run.midPrice - 1.96 * run.standardError, 12);
+    expect(run.confidenceInterval[1]).toBeCloseTo(run.midPrice + 1.96 * run.standardError, 12);
+  });
+
+  it('halves the standard error with four times the paths', () => {
+    const few = pricer.price({ ...oneTouch, paths: 500 });
+    const many = pricer.price({ ...oneTouch, paths: 2000 });
+
+    expect(many.paths).toBe(2000);
+    expect(many.standardError / few.standardError).toBeCloseTo(0.5, 1);
+  });
+
+  it('splits the discounted payout between one-touch and no-touch on the same paths', () => {
+    const touch = pricer.price(oneTouch);
+    const noTouch = pricer.price({ ...oneTouch, optionType: 'no-touch' });
+
+    expect(touch.midPrice + noTouch.midPrice).toBeCloseTo(Math.exp(-oneTouch.riskFreeRate * oneTouch.timeToExpiry), 10);
+  });
+});
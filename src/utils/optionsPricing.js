@@ -1,24 +1,192 @@
 // Core options pricing utility based on the Modified Black-Scholes model for binary options
+// Engine modules import with explicit .js extensions so the engine also loads in plain Node
+import { VolatilitySurface, SURFACE_TENORS } from './volatilitySurface.js';
+import { MonteCarloPricer } from './monteCarlo.js';
+import { GreeksCalculator } from './greeks.js';
+import { CorrelationService, SpreadOptionModel } from './spreadOptions.js';
+import { CategoricalOptionModel, normalizeOutcomes } from './categoricalOptions.js';
+import {
+  VOLATILITY_ESTIMATORS,
+  VOLATILITY_LOOKBACKS,
+  GarchModel,
+  buildDailyBars,
+  calculateDailyReturns,
+  convertVolatility,
+  calculateGarmanKlassVolatility,
+  calculateLogitVolatility
+} from './volatilityEstimators.js';
+import { PricingBacktester } from './backtester.js';
+import { ChainValidator } from './chainValidator.js';
+import { CANDLE_RESOLUTIONS } from './candles.js';
+import { createDefaultHistoricalStore } from './historicalStores.js';
+import { MarketDataRecorder } from './marketDataRecorder.js';
+import { rateCurveService } from '../services/RateCurveService.js';
+
+// Engine configuration; the default model can be overridden per deployment
+export const DEFAULT_PRICING_CONFIG = {
+  defaultModel: import.meta.env?.VITE_DEFAULT_PRICING_MODEL || 'black-scholes',
+  defaultNewsIntensity: 0.5 // Expected unscheduled resolutions per year from news risk
+};
+
+// Probability dynamics each closed-form model assumes, reused by the Monte Carlo pricer
+const MONTE_CARLO_DYNAMICS = {
+  'black-scholes': 'lognormal',
+  'logit-normal': 'logit-normal'
+};
 
 export class OptionsPricingEngine {
-  constructor() {
-    this.pricingModel = new BlackScholesBinaryModel();
-    this.historicalDataService = new HistoricalDataService();
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_PRICING_CONFIG, ...config };
+    this.rateCurveService = rateCurveService;
+    this.pricingModels = new Map(); // Model name -> model instance
+    this.marketPricingModels = new Map(); // Market ID -> model name
+    this.marketNewsIntensities = new Map(); // Market ID -> annual jump intensity
+    this.registerPricingModel('black-scholes', new BlackScholesBinaryModel());
+    this.registerPricingModel('logit-normal', new LogitNormalBinaryModel());
+    this.registerPricingModel('jump-to-resolution', new JumpToResolutionModel());
+
+    this.monteCarloPricer = new MonteCarloPricer();
+    this.greeksCalculator = new GreeksCalculator();
+
+    // config.historicalStore swaps the storage adapter, e.g. for headless runs
+    this.historicalDataService = new HistoricalDataService(this.config.historicalStore);
     this.volatilityService = new VolatilityService(this.historicalDataService);
+    this.correlationService = new CorrelationService(this.historicalDataService);
+    this.spreadOptionModel = new SpreadOptionModel(this.getPricingModel('logit-normal'));
+    this.categoricalOptionModel = new CategoricalOptionModel();
+    this.chainValidator = new ChainValidator();
     this.marketMonitor = new MarketMonitor();
+
+    // Monitored ticks are stored, and volatility re-estimated once they are written
+    this.marketDataRecorder = new MarketDataRecorder(this.historicalDataService, {
+      onFlush: (marketIds) => marketIds.forEach(marketId => this.volatilityService.updateVolatilityEstimate(marketId))
+    });
     this.listeners = [];
+    this.initialization = null;
   }
 
-  async initialize() {
+  // Safe to call repeatedly: every caller waits on the same setup, and the
+  // recorder and update listener are attached once. A failed setup is retried.
+  initialize() {
+    if (!this.initialization) {
+      this.initialization = this.setup().catch(error => {
+        this.initialization = null;
+        throw error;
+      });
+    }
+
+    return this.initialization;
+  }
+
+  async setup() {
+    await this.rateCurveService.initialize();
     await this.historicalDataService.initialize();
+    this.marketDataRecorder.attach(this.marketMonitor);
     this.marketMonitor.addListener(this.handleMarketUpdate.bind(this));
   }
 
+  // Poll a market while it is on screen; its ticks are recorded into history
+  startMonitoring(marketId, interval) {
+    return this.marketMonitor.startMonitoring(marketId, interval);
+  }
+
+  stopMonitoring(marketId) {
+    this.marketMonitor.stopMonitoring(marketId);
+  }
+
   handleMarketUpdate(marketId, data, updateType) {
-    this.volatilityService.updateVolatilityEstimate(marketId);
     this.notifyListeners(marketId, updateType);
   }
 
+  registerPricingModel(name, model) {
+    if (!model || typeof model.calculatePrice !== 'function') {
+      throw new Error(`Pricing model ${name} must implement calculatePrice()`);
+    }
+
+    this.pricingModels.set(name, model);
+  }
+
+  getPricingModel(name) {
+    const model = this.pricingModels.get(name);
+    if (!model) {
+      throw new Error(`Unknown pricing model: ${name}`);
+    }
+
+    return model;
+  }
+
+  getAvailablePricingModels() {
+    return Array.from(this.pricingModels.keys());
+  }
+
+  setDefaultPricingModel(name) {
+    this.getPricingModel(name); // Validate before switching
+    this.config.defaultModel = name;
+  }
+
+  // Pin a market to a model; pass null to fall back to the default again
+  setMarketPricingModel(marketId, name) {
+    if (name === null) {
+      this.marketPricingModels.delete(marketId);
+      return;
+    }
+
+    this.getPricingModel(name);
+    this.marketPricingModels.set(marketId, name);
+  }
+
+  // Resolution order: explicit request, market override, configured default
+  resolvePricingModelName(marketId, requestedModel) {
+    return requestedModel ||
+      this.marketPricingModels.get(marketId) ||
+      this.config.defaultModel;
+  }
+
+  // News risk for a market, as the annual intensity of unscheduled resolution
+  setMarketNewsIntensity(marketId, intensity) {
+    this.marketNewsIntensities.set(marketId, Math.max(0, intensity));
+  }
+
+  getMarketNewsIntensity(marketId) {
+    return this.marketNewsIntensities.get(marketId) ?? this.config.defaultNewsIntensity;
+  }
+
+  getAvailableVolatilityEstimators() {
+    return {
+      estimators: VOLATILITY_ESTIMATORS,
+      lookbacks: VOLATILITY_LOOKBACKS
+    };
+  }
+
+  // Same shape as setMarketVolatilitySettings; volatility is null until first estimated
+  getMarketVolatilitySettings(marketId) {
+    const { volatilityCache } = this.volatilityService;
+
+    return {
+      settings: this.volatilityService.getMarketVolatilitySettings(marketId),
+      volatility: volatilityCache.has(marketId) ? volatilityCache.get(marketId) : null
+    };
+  }
+
+  // Choose the estimator, lookback and bounds behind a market's historical vol.
+  // Resolves with the saved settings and the re-estimated volatility.
+  setMarketVolatilitySettings(marketId, settings) {
+    return this.volatilityService.setMarketVolatilitySettings(marketId, settings);
+  }
+
+  // Surface volatility in the units the model diffuses. Implied vols were solved
+  // under the model already; historical estimates are restated at the current price.
+  // Pass source 'historical' to skip any implied surface and use the estimator.
+  getModelVolatility(marketId, modelName, strike, timeToExpiry, currentPrice, source) {
+    const { space, ...resolved } = this.volatilityService.resolveSurfaceVolatility(marketId, strike, timeToExpiry, modelName, source);
+    const { volatilitySpace } = this.getPricingModel(modelName);
+
+    return {
+      ...resolved,
+      volatility: convertVolatility(resolved.volatility, space, volatilitySpace, currentPrice)
+    };
+  }
+
   getPriceForOption(optionDetails) {
     const {
       marketId,
@@ -26,33 +194,437 @@ export class OptionsPricingEngine {
       strike, // Strike probability (0-100)
       expiry, // Expiration date
       type, // 'call' or 'put'
+      model, // Optional pricing model name
+      marketExpiresAt, // Optional resolution date of the underlying market
+      rateCurve, // Optional rate curve name, e.g. 'usdc-lending'
     } = optionDetails;
 
-    // Calculate time to expiry
-    const timeToExpiry = this.calculateTimeToExpiry(expiry);
+    const context = this.createPricingContext(marketId, { model, marketExpiresAt, rateCurve });
+    const tenor = this.createTenor(context, expiry);
 
-    // Get volatility from service
-    const volatility = this.volatilityService.getDynamicVolatility(
+    // Get volatility for this strike and tenor from the market's surface
+    const { volatility } = this.getModelVolatility(
       marketId,
-      timeToExpiry
+      context.modelName,
+      strike,
+      tenor.timeToExpiry,
+      currentPrice
     );
 
-    // Get risk-free rate (could be dynamically fetched)
-    const riskFreeRate = 0.05;
+    return this.priceContract(context, tenor, { currentPrice, strike, type, volatility });
+  }
+
+  // Price a full grid of calls and puts in one pass. Model resolution, market
+  // inputs, time to expiry, rates and surface vols are computed once and shared.
+  priceChain(marketId, strikes, expiries, options = {}) {
+    const {
+      currentPrice, // Current probability (0-1)
+      model, // Optional pricing model name
+      marketExpiresAt, // Optional resolution date of the underlying market
+      rateCurve, // Optional rate curve name
+      volatility, // Optional flat volatility overriding the market's surface
+      volatilitySource: requestedSource // Optional 'historical' to price off the estimator even where quotes calibrated a surface
+    } = options;
+
+    const context = this.createPricingContext(marketId, { model, marketExpiresAt, rateCurve });
+    const surface = requestedSource === 'historical' ? null : this.volatilityService.getSurface(marketId, context.modelName);
+    const hasImpliedSurface = Boolean(surface && surface.source === 'implied' && !surface.isEmpty());
+
+    const quotes = expiries.map(expiry => {
+      const tenor = this.createTenor(context, expiry);
+      const calls = [];
+      const puts = [];
+
+      // Without an implied surface every strike shares the tenor's historical vol,
+      // so it is resolved once here rather than once per strike
+      let tenorVolatility = null;
+      if (volatility !== undefined) {
+        tenorVolatility = { volatility, source: 'override' };
+      } else if (!hasImpliedSurface) {
+        tenorVolatility = this.getModelVolatility(marketId, context.modelName, null, tenor.timeToExpiry, currentPrice, 'historical');
+      }
+
+      for (const strike of strikes) {
+        // Quotes priced off an implied surface are marked so callers can tell them
+        // from independent model prices
+        const { volatility: strikeVolatility, source: volatilitySource } = tenorVolatility ??
+          this.getModelVolatility(marketId, context.modelName, strike, tenor.timeToExpiry, currentPrice);
+        const contract = { currentPrice, strike, volatility: strikeVolatility };
+        const quote = { strike, volatility: strikeVolatility, volatilitySource };
+
+        calls.push({ ...quote, ...this.priceContract(context, tenor, { ...contract, type: 'call' }) });
+        puts.push({ ...quote, ...this.priceContract(context, tenor, { ...contract, type: 'put' }) });
+      }
+
+      return {
+        expiry,
+        timeToExpiry: tenor.timeToExpiry,
+        riskFreeRate: tenor.riskFreeRate,
+        settlesOnResolution: tenor.settlesOnResolution,
+        calls,
+        puts
+      };
+    });
+
+    return {
+      marketId,
+      currentPrice,
+      model: context.modelName,
+      strikes,
+      expiries,
+      quotes,
+      timestamp: new Date()
+    };
+  }
+
+  // Inputs that depend only on the market and the request
+  createPricingContext(marketId, { model, marketExpiresAt, rateCurve } = {}) {
+    const modelName = this.resolvePricingModelName(marketId, model);
+
+    return {
+      marketId,
+      modelName,
+      pricingModel: this.getPricingModel(modelName),
+      timeToResolution: marketExpiresAt ? this.calculateTimeToExpiry(marketExpiresAt) : undefined,
+      newsIntensity: this.getMarketNewsIntensity(marketId),
+      rateCurve,
+      liquidityFactor: 0.1 // Simplified; would come from AMM
+    };
+  }
+
+  // Inputs shared by every strike at one expiry
+  createTenor(context, expiry) {
+    const timeToExpiry = this.calculateTimeToExpiry(expiry);
+
+    return {
+      expiry,
+      timeToExpiry,
+      // Discount at the curve rate for this option's tenor
+      riskFreeRate: this.getRiskFreeRate(timeToExpiry, context.rateCurve),
+      // Once the market has resolved there is nothing left to diffuse
+      settlesOnResolution: context.timeToResolution !== undefined &&
+        timeToExpiry >= context.timeToResolution
+    };
+  }
+
+  priceContract(context, tenor, { currentPrice, strike, type, volatility }) {
+    const { modelName, pricingModel, timeToResolution, newsIntensity, liquidityFactor } = context;
+    const { timeToExpiry, riskFreeRate } = tenor;
 
-    // Calculate liquidity factor
-    const liquidityFactor = 0.1; // Simplified; would come from AMM
+    if (tenor.settlesOnResolution) {
+      const price = this.priceResolvedSettlement({
+        currentPrice,
+        strike,
+        timeToExpiry,
+        timeToResolution,
+        volatility,
+        riskFreeRate,
+        type,
+        liquidityFactor
+      });
+
+      return { ...price, model: modelName };
+    }
 
-    // Calculate price using the model
-    return this.pricingModel.calculatePrice({
+    const modelParams = {
       currentProbability: currentPrice * 100, // Convert to percentage
       strikeProbability: strike,
       timeToExpiry,
       volatility,
       riskFreeRate,
       optionType: type,
-      liquidityFactor
+      liquidityFactor,
+      timeToResolution,
+      newsIntensity
+    };
+
+    // Calculate price using the model; the shared bump engine fills in every Greek
+    // the model has no exact formula for
+    const price = pricingModel.calculatePrice(modelParams);
+    const greeks = this.greeksCalculator.calculate(pricingModel, modelParams, price);
+
+    return { ...price, ...greeks, model: modelName };
+  }
+
+  // An option that outlives its market settles on the resolved 0/1 outcome, which
+  // is YES with risk-neutral probability equal to the current price
+  priceResolvedSettlement({ currentPrice, strike, timeToExpiry, timeToResolution, volatility, riskFreeRate, type, liquidityFactor }) {
+    const discountFactor = Math.exp(-riskFreeRate * timeToExpiry);
+    const isCall = type.toLowerCase() === 'call';
+    const strikePrice = strike / 100;
+
+    // A call struck at 100% (or a put at 0%) can never finish in the money
+    const paysOnResolution = isCall ? strikePrice < 1 : strikePrice > 0;
+    const outcomeProbability = isCall ? currentPrice : 1 - currentPrice;
+    const midPrice = paysOnResolution ? discountFactor * outcomeProbability : 0;
+
+    // Uncertainty only lasts until the market resolves
+    const halfSpread = liquidityFactor * volatility * Math.sqrt(timeToResolution) / 2;
+
+    return {
+      midPrice,
+      bidPrice: Math.max(0, midPrice - halfSpread),
+      askPrice: Math.min(1, midPrice + halfSpread),
+      timestamp: new Date(),
+      delta: paysOnResolution ? (isCall ? discountFactor : -discountFactor) : 0,
+      gamma: 0,
+      theta: riskFreeRate * midPrice / 365, // Only discounting decays
+      vega: 0,
+      rho: -timeToExpiry * midPrice / 100,
+      vanna: 0,
+      volga: 0,
+      charm: 0,
+      settlesOnResolution: true
+    };
+  }
+
+  // Price touch, double-barrier and knock-in/knock-out binaries by simulation
+  priceExoticOption(optionDetails) {
+    const {
+      marketId,
+      currentPrice, // Current probability (0-1)
+      expiry, // Expiration date
+      type, // One of PATH_DEPENDENT_OPTION_TYPES
+      barrier, // Barrier probability (0-100)
+      lowerBarrier, // Lower barrier probability (0-100)
+      upperBarrier, // Upper barrier probability (0-100)
+      strike, // Strike probability (0-100), knock-in/knock-out only
+      payoffType, // 'call' or 'put', knock-in/knock-out only
+      model, // Optional pricing model name
+      marketExpiresAt, // Optional resolution date of the underlying market
+      paths, // Optional number of simulated paths
+      seed, // Optional seed for reproducible results
+      rateCurve // Optional rate curve name
+    } = optionDetails;
+
+    const modelName = this.resolvePricingModelName(marketId, model);
+    const timeToExpiry = this.calculateTimeToExpiry(expiry);
+    const referenceStrike = strike ?? barrier ?? (lowerBarrier + upperBarrier) / 2;
+
+    // Paths stop diffusing once the market resolves and settle on its outcome
+    const price = this.monteCarloPricer.price({
+      currentProbability: currentPrice * 100,
+      timeToExpiry,
+      timeToResolution: marketExpiresAt ? this.calculateTimeToExpiry(marketExpiresAt) : undefined,
+      volatility: this.getModelVolatility(marketId, modelName, referenceStrike, timeToExpiry, currentPrice).volatility,
+      riskFreeRate: this.getRiskFreeRate(timeToExpiry, rateCurve),
+      optionType: type,
+      barrier,
+      lowerBarrier,
+      upperBarrier,
+      strikeProbability: strike,
+      payoffType,
+      liquidityFactor: 0.1,
+      paths,
+      seed,
+      dynamics: MONTE_CARLO_DYNAMICS[modelName] || 'logit-normal'
+    });
+
+    return { ...price, model: modelName };
+  }
+
+  // Price a spread or relative-value binary on two markets. Correlation comes from
+  // the markets' joint history unless one is passed in.
+  async priceSpreadOption(optionDetails) {
+    const {
+      marketIdA, // First market ID
+      marketIdB, // Second market ID
+      currentPriceA, // Market A probability (0-1)
+      currentPriceB, // Market B probability (0-1)
+      strike = 0, // Spread strike in probability points (-100 to 100), spread options only
+      expiry, // Expiration date
+      type, // One of SPREAD_OPTION_TYPES
+      correlation, // Optional correlation overriding the historical estimate
+      correlationDays = 30, // Lookback for the historical estimate
+      marketExpiresAtA, // Optional resolution date of market A
+      marketExpiresAtB, // Optional resolution date of market B
+      rateCurve // Optional rate curve name
+    } = optionDetails;
+
+    if (marketIdA === marketIdB) {
+      throw new Error('Spread options need two different markets');
+    }
+
+    const correlationEstimate = correlation !== undefined
+      ? { correlation, observations: 0, source: 'override' }
+      : await this.correlationService.estimateCorrelation(marketIdA, marketIdB, correlationDays);
+
+    const timeToExpiry = this.calculateTimeToExpiry(expiry);
+
+    // Each leg uses its own at-the-money logit-normal surface volatility for this
+    // tenor, and a leg whose market resolves before expiry settles on its outcome
+    const price = this.spreadOptionModel.calculatePrice({
+      currentProbabilityA: currentPriceA * 100,
+      currentProbabilityB: currentPriceB * 100,
+      strike,
+      timeToExpiry,
+      timeToResolutionA: marketExpiresAtA ? this.calculateTimeToExpiry(marketExpiresAtA) : undefined,
+      timeToResolutionB: marketExpiresAtB ? this.calculateTimeToExpiry(marketExpiresAtB) : undefined,
+      volatilityA: this.getModelVolatility(marketIdA, 'logit-normal', currentPriceA * 100, timeToExpiry, currentPriceA).volatility,
+      volatilityB: this.getModelVolatility(marketIdB, 'logit-normal', currentPriceB * 100, timeToExpiry, currentPriceB).volatility,
+      correlation: correlationEstimate.correlation,
+      riskFreeRate: this.getRiskFreeRate(timeToExpiry, rateCurve),
+      optionType: type,
+      liquidityFactor: 0.1
+    });
+
+    return {
+      ...price,
+      correlation: correlationEstimate.correlation,
+      correlationSource: correlationEstimate.source,
+      correlationObservations: correlationEstimate.observations
+    };
+  }
+
+  // Price a binary on one outcome of a multi-outcome market, paying if that
+  // outcome's probability ends above (call) or below (put) the strike
+  priceCategoricalOption(optionDetails) {
+    const {
+      marketId,
+      outcomes, // [{ name, probability }]; normalized to sum to 1
+      outcome, // Outcome name or index
+      strike, // Strike probability (0-100)
+      expiry, // Expiration date
+      type, // 'call' or 'put'
+      marketExpiresAt, // Optional resolution date of the underlying market
+      paths, // Optional number of simulated paths
+      seed, // Optional seed for reproducible results
+      rateCurve // Optional rate curve name
+    } = optionDetails;
+
+    const normalizedOutcomes = normalizeOutcomes(outcomes);
+    const outcomeIndex = typeof outcome === 'number'
+      ? outcome
+      : normalizedOutcomes.findIndex(candidate => candidate.name === outcome);
+
+    if (!normalizedOutcomes[outcomeIndex]) {
+      throw new Error(`Unknown outcome for market ${marketId}: ${outcome}`);
+    }
+
+    const timeToExpiry = this.calculateTimeToExpiry(expiry);
+    const riskFreeRate = this.getRiskFreeRate(timeToExpiry, rateCurve);
+    const currentPrice = normalizedOutcomes[outcomeIndex].probability;
+    // Outcome shares diffuse in log-odds, so read the logit-normal surface
+    const { volatility } = this.getModelVolatility(marketId, 'logit-normal', strike, timeToExpiry, currentPrice);
+    const result = { outcome: normalizedOutcomes[outcomeIndex].name, outcomes: normalizedOutcomes, volatility };
+
+    // Options that outlive the market pay if their outcome wins
+    if (marketExpiresAt && new Date(expiry) >= new Date(marketExpiresAt)) {
+      const price = this.priceResolvedSettlement({
+        currentPrice,
+        strike,
+        timeToExpiry,
+        timeToResolution: this.calculateTimeToExpiry(marketExpiresAt),
+        volatility,
+        riskFreeRate,
+        type,
+        liquidityFactor: 0.1
+      });
+
+      return { ...price, ...result };
+    }
+
+    const price = this.categoricalOptionModel.price({
+      outcomes: normalizedOutcomes,
+      outcomeIndex,
+      strikeProbability: strike,
+      timeToExpiry,
+      volatility,
+      riskFreeRate,
+      optionType: type,
+      liquidityFactor: 0.1,
+      paths,
+      seed
+    });
+
+    return { ...price, ...result };
+  }
+
+  // Back out the volatility implied by an observed premium under the option's model
+  getImpliedVolatility(optionDetails, premium) {
+    const { marketId, currentPrice, strike, expiry, type, model, marketExpiresAt, rateCurve } = optionDetails;
+    const pricingModel = this.getPricingModel(this.resolvePricingModelName(marketId, model));
+    const solver = new ImpliedVolatilitySolver(pricingModel);
+
+    // Options that settle on the resolved outcome carry no volatility exposure
+    if (marketExpiresAt && new Date(expiry) >= new Date(marketExpiresAt)) {
+      return solver.noSolution('settles-on-resolution', 'Option expires after the market resolves');
+    }
+
+    const timeToExpiry = this.calculateTimeToExpiry(expiry);
+
+    return solver.solve({
+      premium,
+      currentProbability: currentPrice * 100,
+      strikeProbability: strike,
+      timeToExpiry,
+      riskFreeRate: this.getRiskFreeRate(timeToExpiry, rateCurve),
+      optionType: type
+    });
+  }
+
+  // Calibrate a market's surface for one pricing model from observed quotes. Each
+  // quote carries a strike (0-100), an expiry and a premium or an impliedVolatility
+  // already solved under that model.
+  calibrateVolatilitySurface(marketId, currentPrice, quotes, options = {}) {
+    const modelName = this.resolvePricingModelName(marketId, options.model);
+    const impliedQuotes = quotes.map(quote => {
+      const impliedVolatility = 'impliedVolatility' in quote ? quote.impliedVolatility : this.getImpliedVolatility({
+        marketId,
+        currentPrice,
+        strike: quote.strike,
+        expiry: quote.expiry,
+        type: quote.type,
+        model: modelName
+      }, quote.premium).impliedVolatility;
+
+      return {
+        strike: quote.strike,
+        timeToExpiry: this.calculateTimeToExpiry(quote.expiry),
+        impliedVolatility
+      };
     });
+
+    return this.volatilityService.calibrateSurface(marketId, impliedQuotes, modelName);
+  }
+
+  // Check a quoted { calls, puts } chain for parity, monotonicity and bound
+  // violations at the expiry's discount factor. With repair set, the returned
+  // chain holds the nearest arbitrage-free quotes; otherwise it is unchanged.
+  validateOptionChain(chain, { expiry, rateCurve, repair = false } = {}) {
+    const timeToExpiry = this.calculateTimeToExpiry(expiry);
+    const discountFactor = Math.exp(-this.getRiskFreeRate(timeToExpiry, rateCurve) * timeToExpiry);
+    const report = this.chainValidator.validate(chain, { discountFactor });
+
+    return {
+      ...report,
+      chain: repair && !report.valid ? this.chainValidator.repair(chain, { discountFactor }) : chain
+    };
+  }
+
+  // Replay stored history to score a model and volatility estimator. Returns
+  // calibration, Brier score, log loss and P&L by strike and tenor.
+  backtestPricingModel(marketId, options = {}) {
+    return new PricingBacktester(this).run(marketId, options);
+  }
+
+  // Score several { label, model, volatilitySettings } configurations on the same history
+  comparePricingModels(marketId, configurations, options = {}) {
+    return new PricingBacktester(this).compare(marketId, configurations, options);
+  }
+
+  // OHLCV candles for a market from the stored rollups
+  getCandles(marketId, resolution, options = {}) {
+    return this.historicalDataService.getCandles(marketId, resolution, options);
+  }
+
+  // Schema version and migration history of the local historical database
+  getHistoricalDataMigrationStatus() {
+    return this.historicalDataService.getMigrationStatus();
+  }
+
+  getRiskFreeRate(timeToExpiry, curveName) {
+    return this.rateCurveService.getRate(timeToExpiry, curveName);
   }
 
   calculateTimeToExpiry(expiryDate) {
@@ -78,6 +650,11 @@ export class OptionsPricingEngine {
 }
 
 export class BlackScholesBinaryModel {
+  // Volatility is of log returns in the probability itself
+  get volatilitySpace() {
+    return 'log-return';
+  }
+
   calculatePrice(params) {
     const {
       currentProbability,  // Current probability (0-100)
@@ -210,169 +787,633 @@ export class BlackScholesBinaryModel {
   }
 }
 
-export class HistoricalDataService {
-  constructor() {
-    this.dbName = "polyczar_historical_data";
-    this.db = null;
+// Bounded-probability model: the log-odds logit(p) = ln(p / (1 - p)) follow a
+// driftless Brownian motion, so the underlying probability stays inside (0, 1)
+// at every horizon. Volatility is interpreted as the annualized volatility of
+// the log-odds rather than of the probability itself.
+export class LogitNormalBinaryModel extends BlackScholesBinaryModel {
+  get volatilitySpace() {
+    return 'log-odds';
   }
 
-  async initialize() {
-    try {
-      this.db = await this.openDatabase();
-      console.log("Historical data service initialized");
-    } catch (error) {
-      console.error("Failed to initialize historical data service:", error);
-    }
+  // Its delta, gamma, theta and vega are the exact digital formulas
+  get closedFormGreeks() {
+    return ['delta', 'gamma', 'theta', 'vega'];
   }
 
-  async openDatabase() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, 1);
+  calculatePrice(params) {
+    const {
+      currentProbability,  // Current probability (0-100)
+      strikeProbability,   // Strike probability (0-100)
+      timeToExpiry,        // Time to expiry in years
+      volatility,          // Annualized volatility of the log-odds
+      riskFreeRate,        // Risk-free rate
+      optionType,          // 'call' or 'put'
+      liquidityFactor      // Factor to adjust spread based on liquidity
+    } = params;
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        
-        // Create object store for market data
-        if (!db.objectStoreNames.contains("marketData")) {
-          const store = db.createObjectStore("marketData", { keyPath: "id", autoIncrement: true });
-          store.createIndex("marketId", "marketId", { unique: false });
-          store.createIndex("timestamp", "timestamp", { unique: false });
-        }
-      };
+    // Keep both probabilities strictly inside (0, 1) so the log-odds are finite
+    const currentPrice = this.clampProbability(currentProbability / 100);
+    const strikePrice = this.clampProbability(strikeProbability / 100);
+    const isCall = optionType.toLowerCase() === 'call';
 
-      request.onsuccess = (event) => {
-        resolve(event.target.result);
-      };
+    const discountFactor = Math.exp(-riskFreeRate * timeToExpiry);
+    const stdDev = volatility * Math.sqrt(timeToExpiry);
+    const d = this.calculateD({ currentPrice, strikePrice, stdDev });
 
-      request.onerror = (event) => {
-        reject(event.target.error);
-      };
-    });
-  }
+    // P(logit(p_T) > logit(K)) for calls, the complement for puts
+    let midPrice = discountFactor * (isCall ? this.normalCDF(d) : this.normalCDF(-d));
+    midPrice = Math.max(0, Math.min(1, midPrice));
 
-  async storeDataPoint(marketId, dataPoint) {
-    if (!this.db) {
-      await this.initialize();
+    // Calculate spread based on liquidity and volatility
+    const spread = liquidityFactor * volatility * Math.sqrt(timeToExpiry);
+    const halfSpread = spread / 2;
+
+    const bidPrice = Math.max(0, midPrice - halfSpread);
+    const askPrice = Math.min(1, midPrice + halfSpread);
+
+    // Greeks are zero once the distribution has collapsed to a point
+    let delta = 0;
+    let gamma = 0;
+    let theta = 0;
+    let vega = 0;
+
+    if (stdDev > 0) {
+      const sign = isCall ? 1 : -1;
+      const density = discountFactor * this.normalPDF(d);
+      const logitSlope = 1 / (currentPrice * (1 - currentPrice)); // d logit(p) / dp
+
+      delta = sign * density * logitSlope / stdDev;
+      gamma = sign * density * logitSlope * logitSlope / stdDev *
+        (-d / stdDev - (1 - 2 * currentPrice));
+      vega = sign * density * (-d / volatility) / 100; // Per volatility point
+      theta = (riskFreeRate * midPrice + sign * density * d / (2 * timeToExpiry)) / 365; // Daily theta
     }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(["marketData"], "readwrite");
-      const store = transaction.objectStore("marketData");
-      
-      const record = {
-        marketId,
-        price: dataPoint.price,
-        volume: dataPoint.volume,
-        timestamp: dataPoint.timestamp || new Date()
-      };
-      
-      const request = store.add(record);
-      
-      request.onsuccess = () => resolve(true);
-      request.onerror = (event) => reject(event.target.error);
-    });
+    return {
+      midPrice,
+      bidPrice,
+      askPrice,
+      timestamp: new Date(),
+      delta,
+      gamma,
+      theta,
+      vega
+    };
   }
 
-  async getHistoricalData(marketId, days = 30) {
-    if (!this.db) {
-      await this.initialize();
+  calculateD({ currentPrice, strikePrice, stdDev }) {
+    const logitDistance = this.logit(currentPrice) - this.logit(strikePrice);
+
+    // At expiry (or with zero volatility) the option is worth its intrinsic value
+    if (stdDev <= 0) {
+      if (logitDistance === 0) return 0;
+      return logitDistance > 0 ? Infinity : -Infinity;
     }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(["marketData"], "readonly");
-      const store = transaction.objectStore("marketData");
-      const index = store.index("marketId");
-      
-      // Calculate the date from 'days' ago
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - days);
-      
-      // Get all records for the market ID
-      const request = index.getAll(marketId);
-      
-      request.onsuccess = (event) => {
-        const allData = event.target.result;
-        // Filter for data points after the cutoff date
-        const filteredData = allData.filter(item => 
-          new Date(item.timestamp) >= cutoffDate
-        );
-        
-        resolve(filteredData);
-      };
-      
-      request.onerror = (event) => {
-        reject(event.target.error);
-      };
-    });
+    return logitDistance / stdDev;
   }
 
+  logit(p) {
+    return Math.log(p / (1 - p));
+  }
+
+  clampProbability(p, epsilon = 1e-6) {
+    return Math.min(1 - epsilon, Math.max(epsilon, p));
+  }
+}
+
+// Backs out implied volatility from an observed binary option premium.
+// Binary prices are not monotonic in volatility (an in-the-money call loses
+// value as volatility rises), so the solver brackets the lowest-volatility root
+// on a grid and then refines it with Newton steps, falling back to bisection
+// whenever a step leaves the bracket.
+export class ImpliedVolatilitySolver {
+  constructor(model = new BlackScholesBinaryModel(), options = {}) {
+    this.model = model;
+    this.options = {
+      minVolatility: 0.01,
+      maxVolatility: 5,
+      gridSize: 60,
+      tolerance: 1e-7,
+      maxIterations: 100,
+      ...options
+    };
+  }
+
+  solve(params) {
+    const {
+      premium,             // Observed option price (0-1)
+      currentProbability,  // Current probability (0-100)
+      strikeProbability,   // Strike probability (0-100)
+      timeToExpiry,        // Time to expiry in years
+      riskFreeRate,        // Risk-free rate
+      optionType           // 'call' or 'put'
+    } = params;
+
+    if (!Number.isFinite(premium)) {
+      return this.noSolution('invalid-premium', 'Premium is not a number');
+    }
+
+    if (timeToExpiry <= 0) {
+      return this.noSolution('expired', 'Option has no time value left to imply volatility from');
+    }
+
+    // A binary pays at most 1, so any premium outside (0, discount factor) is an arbitrage
+    const discountFactor = Math.exp(-riskFreeRate * timeToExpiry);
+    if (premium <= 0 || premium >= discountFactor) {
+      return this.noSolution(
+        'arbitrage-violation',
+        `Premium ${premium} is outside the no-arbitrage range (0, ${discountFactor.toFixed(4)})`
+      );
+    }
+
+    const priceAt = (volatility) => this.model.calculatePrice({
+      currentProbability,
+      strikeProbability,
+      timeToExpiry,
+      volatility,
+      riskFreeRate,
+      optionType,
+      liquidityFactor: 0
+    }).midPrice;
+    const objective = (volatility) => priceAt(volatility) - premium;
+
+    // At-the-money binaries can be flat in volatility, leaving it undetermined
+    if (this.isInsensitiveToVolatility(priceAt)) {
+      return this.noSolution('undetermined', 'Premium does not depend on volatility at this strike');
+    }
+
+    const bracket = this.findBracket(objective);
+    if (!bracket) {
+      return this.noSolution(
+        'no-solution',
+        `No volatility between ${this.options.minVolatility} and ${this.options.maxVolatility} reproduces premium ${premium}`
+      );
+    }
+
+    return this.refineRoot(objective, bracket);
+  }
+
+  isInsensitiveToVolatility(priceAt) {
+    const { minVolatility, maxVolatility, tolerance } = this.options;
+    const reference = priceAt(minVolatility);
+    const samples = [Math.sqrt(minVolatility * maxVolatility), maxVolatility];
+
+    return samples.every(volatility => Math.abs(priceAt(volatility) - reference) < tolerance);
+  }
+
+  findBracket(objective) {
+    const { minVolatility, maxVolatility, gridSize } = this.options;
+    const step = Math.log(maxVolatility / minVolatility) / gridSize;
+
+    let lower = minVolatility;
+    let lowerValue = objective(lower);
+    if (lowerValue === 0) return { lower, upper: lower, lowerValue, upperValue: 0 };
+
+    for (let i = 1; i <= gridSize; i++) {
+      const upper = minVolatility * Math.exp(step * i);
+      const upperValue = objective(upper);
+
+      if (Math.sign(upperValue) !== Math.sign(lowerValue)) {
+        return { lower, upper, lowerValue, upperValue };
+      }
+
+      lower = upper;
+      lowerValue = upperValue;
+    }
+
+    return null;
+  }
+
+  refineRoot(objective, bracket) {
+    const { tolerance, maxIterations } = this.options;
+    let { lower, upper, lowerValue } = bracket;
+    let volatility = (lower + upper) / 2;
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+      const value = objective(volatility);
+
+      if (Math.abs(value) < tolerance || upper - lower < tolerance) {
+        return { impliedVolatility: volatility, converged: true, iterations: iteration, reason: null };
+      }
+
+      // Shrink the bracket around the root
+      if (Math.sign(value) === Math.sign(lowerValue)) {
+        lower = volatility;
+        lowerValue = value;
+      } else {
+        upper = volatility;
+      }
+
+      // Newton step on a numerical vega, which works for any registered model
+      const bump = Math.max(1e-5, volatility * 1e-4);
+      const slope = (objective(volatility + bump) - objective(volatility - bump)) / (2 * bump);
+      const newtonStep = slope !== 0 ? volatility - value / slope : NaN;
+
+      volatility = newtonStep > lower && newtonStep < upper
+        ? newtonStep
+        : (lower + upper) / 2; // Bisection fallback
+    }
+
+    return {
+      impliedVolatility: volatility,
+      converged: false,
+      iterations: maxIterations,
+      reason: 'max-iterations'
+    };
+  }
+
+  noSolution(reason, message) {
+    return { impliedVolatility: null, converged: false, iterations: 0, reason, message };
+  }
+}
+
+// Jump-diffusion variant: on top of a smooth diffusion (logit-normal by default)
+// the market can resolve early, jumping to 1 with probability equal to the current
+// price and to 0 otherwise. Resolution arrives with hazard
+//   lambda(t) = newsIntensity + shape / (timeToResolution - t)
+// so it becomes certain as the market's resolution date approaches, giving the
+// closed-form survival probability used below.
+export class JumpToResolutionModel extends BlackScholesBinaryModel {
+  constructor(diffusionModel = new LogitNormalBinaryModel(), options = {}) {
+    super();
+    this.diffusionModel = diffusionModel;
+    this.options = {
+      resolutionHazardShape: 0.5, // Weight of the approaching resolution date in the hazard
+      ...options
+    };
+  }
+
+  get volatilitySpace() {
+    return this.diffusionModel.volatilitySpace;
+  }
+
+  // Theta is the exact one-day decay; the rest are exact when the diffusion's are
+  get closedFormGreeks() {
+    const diffusionGreeks = this.diffusionModel.closedFormGreeks || [];
+    return ['theta', ...['delta', 'gamma', 'vega'].filter(name => diffusionGreeks.includes(name))];
+  }
+
+  calculatePrice(params) {
+    const {
+      timeToExpiry,        // Time to expiry in years
+      volatility,          // Annualized volatility
+      riskFreeRate,        // Risk-free rate
+      liquidityFactor      // Factor to adjust spread based on liquidity
+    } = params;
+
+    const midPrice = this.calculateMidPrice(params);
+    const diffusion = this.diffusionModel.calculatePrice({ ...params, liquidityFactor: 0 });
+    const resolutionProbability = this.calculateResolutionProbability(params);
+    const survivalProbability = 1 - resolutionProbability;
+    const discountFactor = Math.exp(-riskFreeRate * timeToExpiry);
+    const isCall = params.optionType.toLowerCase() === 'call';
+
+    // Calculate spread based on liquidity and volatility
+    const spread = liquidityFactor * volatility * Math.sqrt(timeToExpiry);
+    const halfSpread = spread / 2;
+
+    const bidPrice = Math.max(0, midPrice - halfSpread);
+    const askPrice = Math.min(1, midPrice + halfSpread);
+
+    // The jump leg is linear in the probability, so only the diffusion leg has curvature
+    const jumpDelta = (isCall ? 1 : -1) * discountFactor * resolutionProbability;
+    const delta = jumpDelta + survivalProbability * diffusion.delta;
+    const gamma = survivalProbability * diffusion.gamma;
+    const vega = survivalProbability * diffusion.vega;
+
+    // Both the option and the market move one day closer to expiry
+    const oneDay = 1 / 365;
+    const tomorrow = this.calculateMidPrice({
+      ...params,
+      timeToExpiry: Math.max(0, timeToExpiry - oneDay),
+      timeToResolution: params.timeToResolution === undefined
+        ? undefined
+        : Math.max(0, params.timeToResolution - oneDay)
+    });
+    const theta = timeToExpiry > 0 ? tomorrow - midPrice : 0; // Daily theta
+
+    return {
+      midPrice,
+      bidPrice,
+      askPrice,
+      timestamp: new Date(),
+      delta,
+      gamma,
+      theta,
+      vega,
+      resolutionProbability
+    };
+  }
+
+  calculateMidPrice(params) {
+    const {
+      currentProbability,  // Current probability (0-100)
+      strikeProbability,   // Strike probability (0-100)
+      timeToExpiry,        // Time to expiry in years
+      riskFreeRate,        // Risk-free rate
+      optionType           // 'call' or 'put'
+    } = params;
+
+    const currentPrice = currentProbability / 100;
+    const strikePrice = strikeProbability / 100;
+    const discountFactor = Math.exp(-riskFreeRate * timeToExpiry);
+    const resolutionProbability = this.calculateResolutionProbability(params);
+
+    // After resolution the underlying sits at 1 (YES) or 0 (NO)
+    const resolvedPayoff = optionType.toLowerCase() === 'call'
+      ? (strikePrice < 1 ? currentPrice : 0)
+      : (strikePrice > 0 ? 1 - currentPrice : 0);
+
+    const diffusionPrice = resolutionProbability < 1
+      ? this.diffusionModel.calculatePrice({ ...params, liquidityFactor: 0 }).midPrice
+      : 0;
+
+    const midPrice = resolutionProbability * discountFactor * resolvedPayoff +
+      (1 - resolutionProbability) * diffusionPrice;
+
+    return Math.max(0, Math.min(1, midPrice));
+  }
+
+  // Probability that the market resolves before the option expires
+  calculateResolutionProbability({ timeToExpiry, timeToResolution, newsIntensity = 0 }) {
+    if (timeToExpiry <= 0) return 0;
+
+    let survival = Math.exp(-newsIntensity * timeToExpiry);
+
+    if (timeToResolution !== undefined) {
+      if (timeToExpiry >= timeToResolution) return 1;
+
+      const remainingFraction = (timeToResolution - timeToExpiry) / timeToResolution;
+      survival *= Math.pow(remainingFraction, this.options.resolutionHazardShape);
+    }
+
+    return 1 - survival;
+  }
+}
+
+// Stored ticks and candle rollups. Storage is delegated to an adapter from
+// historicalStores.js (IndexedDB in browsers, memory elsewhere) or any object
+// with the same methods, such as JsonlHistoricalStore for Node scripts.
+export class HistoricalDataService {
+  constructor(store = createDefaultHistoricalStore()) {
+    this.store = store;
+    this.isOpen = false;
+  }
+
+  async initialize() {
+    try {
+      await this.store.open();
+      this.isOpen = true;
+      console.log("Historical data service initialized");
+    } catch (error) {
+      console.error("Failed to initialize historical data service:", error);
+    }
+  }
+
+  async storeDataPoint(marketId, dataPoint) {
+    return this.storeDataPoints([{ ...dataPoint, marketId }]);
+  }
+
+  // Store a batch of { marketId, price, volume, timestamp } points in one write
+  async storeDataPoints(dataPoints) {
+    if (!this.isOpen) {
+      await this.initialize();
+    }
+
+    if (dataPoints.length === 0) return true;
+
+    return this.store.addTicks(dataPoints.map(dataPoint => ({
+      marketId: dataPoint.marketId,
+      price: dataPoint.price,
+      volume: dataPoint.volume,
+      timestamp: dataPoint.timestamp ? new Date(dataPoint.timestamp) : new Date()
+    })));
+  }
+
+  // OHLCV candles at a resolution ('1m', '1h' or '1d') for the last `days`
+  // days, oldest first. The open candle is included and still updating.
+  async getCandles(marketId, resolution = '1d', { days = 30 } = {}) {
+    if (!CANDLE_RESOLUTIONS[resolution]) {
+      throw new Error(`Unknown candle resolution: ${resolution}`);
+    }
+
+    if (!this.isOpen) {
+      await this.initialize();
+    }
+
+    // Start from the candle containing the cutoff so it is not cut in half
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - days);
+
+    return this.store.getCandles(marketId, resolution, { from: cutoffDate });
+  }
+
+  // Ticks from the last `days` days, oldest first. With a limit only the most
+  // recent `limit` ticks in that window are returned.
+  async getHistoricalData(marketId, days = 30, { limit } = {}) {
+    // Calculate the date from 'days' ago
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - days);
+
+    if (limit) {
+      const page = await this.getHistoricalDataPage(marketId, { from: cutoffDate, limit, direction: 'prev' });
+      return page.data.reverse();
+    }
+
+    if (!this.isOpen) {
+      await this.initialize();
+    }
+
+    return this.store.getTicks(marketId, { from: cutoffDate });
+  }
+
+  // One page of a market's ticks between `from` and `to` (both optional), in
+  // time order ('next') or newest first ('prev'). Pass the returned nextCursor
+  // back as `cursor` for the following page; it is null after the last page.
+  async getHistoricalDataPage(marketId, options = {}) {
+    if (!this.isOpen) {
+      await this.initialize();
+    }
+
+    return this.store.getTickPage(marketId, options);
+  }
+
+  // Candle rollups are kept, so long-range bars outlive the ticks behind them
   async clearOldData(olderThanDays = 90) {
-    if (!this.db) {
+    if (!this.isOpen) {
       await this.initialize();
     }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(["marketData"], "readwrite");
-      const store = transaction.objectStore("marketData");
-      const index = store.index("timestamp");
-      
-      // Calculate the cutoff date
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - olderThanDays);
-      
-      // Use a cursor to iterate through and delete old records
-      const range = IDBKeyRange.upperBound(cutoffDate);
-      const request = index.openCursor(range);
-      
-      request.onsuccess = (event) => {
-        const cursor = event.target.result;
-        if (cursor) {
-          store.delete(cursor.primaryKey);
-          cursor.continue();
-        } else {
-          resolve(true);
-        }
-      };
-      
-      request.onerror = (event) => {
-        reject(event.target.error);
-      };
-    });
+    // Calculate the cutoff date
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - olderThanDays);
+
+    return this.store.deleteTicksBefore(cutoffDate);
+  }
+
+  // Storage backend, schema version, steps applied by this session's upgrade
+  // and the full history of applied migrations
+  async getMigrationStatus() {
+    if (!this.isOpen) {
+      await this.initialize();
+    }
+
+    return this.store.getMigrationStatus();
   }
 }
 
+// Lookback windows (days) used to fit each market's volatility term structure
+const TERM_STRUCTURE_WINDOWS = [1, 7, 30, 90];
+const MIN_TERM_STRUCTURE_RETURNS = 5;
+const BASE_VOLATILITY_WINDOW = 30; // Default lookback behind calculateVolatility's estimate
+const DEFAULT_VOLATILITY = 0.3; // Used until a market has enough history
+
+// Per-market estimator choice; bounds default to the estimator's own
+const DEFAULT_VOLATILITY_SETTINGS = {
+  estimator: 'historical',
+  lookbackDays: BASE_VOLATILITY_WINDOW,
+  ewmaLambda: 0.94,
+  minVolatility: null,
+  maxVolatility: null
+};
+
 export class VolatilityService {
   constructor(historicalDataService) {
     this.historicalDataService = historicalDataService;
     this.volatilityCache = new Map();
+    this.surfaces = new Map(); // "marketId|model" -> VolatilitySurface
+    this.termStructures = new Map(); // Market ID -> fitted term structure
+    this.marketSettings = new Map(); // Market ID -> estimator settings
+    this.pendingEstimates = new Map(); // Market ID -> background estimate in flight
+    this.garchModel = new GarchModel();
   }
 
-  async calculateVolatility(marketId, method = 'historical') {
-    // Get historical data for the market
-    const historicalData = await this.historicalDataService.getHistoricalData(marketId, 30);
-    
+  getMarketVolatilitySettings(marketId) {
+    return { ...DEFAULT_VOLATILITY_SETTINGS, ...this.marketSettings.get(marketId) };
+  }
+
+  async setMarketVolatilitySettings(marketId, settings = {}) {
+    const merged = { ...this.getMarketVolatilitySettings(marketId), ...settings };
+
+    this.validateVolatilitySettings(merged);
+    this.marketSettings.set(marketId, merged);
+    const volatility = await this.updateVolatilityEstimate(marketId);
+
+    return { settings: merged, volatility };
+  }
+
+  validateVolatilitySettings(settings) {
+    const estimator = VOLATILITY_ESTIMATORS.find(candidate => candidate.id === settings.estimator);
+
+    if (!estimator) {
+      throw new Error(`Unknown volatility estimator: ${settings.estimator}`);
+    }
+    if (!(settings.lookbackDays > 0)) {
+      throw new Error('Volatility lookback must be a positive number of days');
+    }
+    // A shorter window can never hold enough bars, so the estimate would silently be the default
+    if (settings.lookbackDays < estimator.minLookbackDays) {
+      throw new Error(`${estimator.label} volatility needs a lookback of at least ${estimator.minLookbackDays} days`);
+    }
+    if (!(settings.ewmaLambda > 0 && settings.ewmaLambda < 1)) {
+      throw new Error('EWMA decay factor must be between 0 and 1');
+    }
+
+    const { min, max } = this.getVolatilityBounds(settings);
+    if (!(min > 0 && max > min)) {
+      throw new Error('Volatility bounds must satisfy 0 < min < max');
+    }
+  }
+
+  getEstimator(settings) {
+    return VOLATILITY_ESTIMATORS.find(candidate => candidate.id === settings.estimator) ||
+      VOLATILITY_ESTIMATORS[0];
+  }
+
+  // Market overrides win over the estimator's default bounds
+  getVolatilityBounds(settings) {
+    const estimator = this.getEstimator(settings);
+
+    return {
+      min: settings.minVolatility ?? estimator.bounds.min,
+      max: settings.maxVolatility ?? estimator.bounds.max
+    };
+  }
+
+  boundVolatility(volatility, { min, max }) {
+    return Math.min(Math.max(volatility, min), max);
+  }
+
+  async calculateVolatility(marketId, method) {
+    const settings = { ...this.getMarketVolatilitySettings(marketId) };
+    settings.estimator = method || settings.estimator;
+
+    // Every estimator reads the stored daily candles, so switching estimators
+    // changes the method but not the sampling
+    const candles = await this.historicalDataService.getCandles(marketId, '1d', { days: settings.lookbackDays });
+    return this.estimateVolatilityFromBars(candles, settings);
+  }
+
+  // Run an estimator over already loaded data, e.g. a point-in-time window in a backtest
+  estimateVolatility(historicalData, settings = DEFAULT_VOLATILITY_SETTINGS) {
     if (!historicalData || historicalData.length < 2) {
-      return 0.3; // Default volatility if not enough data
+      return DEFAULT_VOLATILITY; // Default volatility if not enough data
     }
-    
-    switch (method) {
+
+    return this.estimateVolatilityFromBars(buildDailyBars(historicalData), settings);
+  }
+
+  // Run a bar-based estimator over daily OHLC bars or '1d' candles, oldest first
+  estimateVolatilityFromBars(bars, settings = DEFAULT_VOLATILITY_SETTINGS) {
+    const bounds = this.getVolatilityBounds(settings);
+
+    if (!bars || bars.length < 2) {
+      return DEFAULT_VOLATILITY; // Default volatility if not enough data
+    }
+
+    switch (settings.estimator) {
       case 'historical':
-        return this.calculateHistoricalVolatility(historicalData);
+        return this.calculateHistoricalVolatility(bars, bounds);
       case 'ewma':
-        return this.calculateEWMAVolatility(historicalData);
+        return this.calculateEWMAVolatility(bars, bounds, settings.ewmaLambda);
+      case 'garch':
+        return this.calculateGarchVolatility(bars, bounds);
+      case 'range':
+        return this.calculateRangeVolatility(bars, bounds);
+      case 'logit':
+        return this.calculateLogitSpaceVolatility(bars, bounds);
       default:
-        return this.calculateHistoricalVolatility(historicalData);
+        throw new Error(`Unknown volatility estimator: ${settings.estimator}`);
     }
   }
 
-  calculateHistoricalVolatility(data) {
+  // Realized vol of daily closes; a return spanning a gap of several days
+  // is scaled back to a one-day return
+  calculateHistoricalVolatility(bars, bounds = { min: 0.1, max: 1.0 }) {
+    const returns = calculateDailyReturns(bars).map(({ logReturn, days }) => logReturn / Math.sqrt(days));
+
+    if (returns.length < 2) return DEFAULT_VOLATILITY; // Default if not enough return data
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+
+    return this.boundVolatility(Math.sqrt(variance * 365), bounds);
+  }
+
+  // Unbounded annualized volatility of log returns, or null without enough returns.
+  // Annualized by the data's own spacing, so daily closes and 30-second ticks
+  // give the same scale.
+  calculateRealizedVolatility(data, minReturns = 2) {
     // Sort data by timestamp
     const sortedData = [...data].sort((a, b) => 
       new Date(a.timestamp) - new Date(b.timestamp)
     );
     
-    // Calculate log returns
+    // Calculate log returns and the time each one spans
     const returns = [];
+    let elapsedMs = 0;
     for (let i = 1; i < sortedData.length; i++) {
       const currentPrice = sortedData[i].price;
       const previousPrice = sortedData[i-1].price;
@@ -382,71 +1423,206 @@ export class VolatilityService {
       
       const logReturn = Math.log(currentPrice / previousPrice);
       returns.push(logReturn);
+      elapsedMs += new Date(sortedData[i].timestamp) - new Date(sortedData[i-1].timestamp);
     }
     
-    if (returns.length < 2) return 0.3; // Default if not enough return data
+    if (returns.length < Math.max(2, minReturns) || !(elapsedMs > 0)) return null;
     
     // Calculate variance of returns
     const mean = returns.reduce((sum, val) => sum + val, 0) / returns.length;
     const variance = returns.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / (returns.length - 1);
     
-    // Annualize volatility (assuming daily data)
-    const annualizedVol = Math.sqrt(variance * 365);
-    
-    return Math.min(Math.max(annualizedVol, 0.1), 1.0); // Bound between 10% and 100%
+    // Annualize by the average time between observations
+    const averageInterval = elapsedMs / returns.length / (365 * 24 * 60 * 60 * 1000);
+    return Math.sqrt(variance / averageInterval);
   }
   
-  calculateEWMAVolatility(data) {
-    // Exponentially Weighted Moving Average volatility
-    // This gives more weight to recent observations
-    const lambda = 0.94; // Decay factor, typical for daily data
-    
-    // Sort data by timestamp
-    const sortedData = [...data].sort((a, b) => 
-      new Date(a.timestamp) - new Date(b.timestamp)
-    );
-    
-    // Calculate log returns
-    const returns = [];
-    for (let i = 1; i < sortedData.length; i++) {
-      const logReturn = Math.log(sortedData[i].price / sortedData[i-1].price);
-      returns.push(logReturn);
-    }
+  calculateEWMAVolatility(bars, bounds = { min: 0.1, max: 1.0 }, lambda = 0.94) {
+    // Exponentially Weighted Moving Average volatility of daily closes
+    // This gives more weight to recent observations; lambda is the daily decay factor
+    const returns = calculateDailyReturns(bars)
+      .map(({ logReturn, days }) => logReturn * logReturn / days); // Daily variance
     
-    if (returns.length < 2) return 0.3; // Default if not enough return data
+    if (returns.length < 2) return DEFAULT_VOLATILITY; // Default if not enough return data
     
     // Initialize variance with sample variance of first few returns
     let variance = returns.slice(0, Math.min(5, returns.length))
-      .reduce((sum, val) => sum + val * val, 0) / returns.length;
+      .reduce((sum, val) => sum + val, 0) / Math.min(5, returns.length);
     
     // Apply EWMA formula
     for (let i = 0; i < returns.length; i++) {
-      variance = lambda * variance + (1 - lambda) * returns[i] * returns[i];
+      variance = lambda * variance + (1 - lambda) * returns[i];
     }
     
-    // Annualize volatility (assuming daily data)
+    // Annualize the daily variance
     const annualizedVol = Math.sqrt(variance * 365);
     
-    return Math.min(Math.max(annualizedVol, 0.1), 1.0); // Bound between 10% and 100%
+    return this.boundVolatility(annualizedVol, bounds);
+  }
+
+  // Next-day GARCH(1,1) forecast from daily log returns
+  calculateGarchVolatility(bars, bounds) {
+    const closes = bars.map(bar => bar.close);
+    const returns = closes.slice(1).map((close, i) => Math.log(close / closes[i]));
+    const fit = this.garchModel.fit(returns);
+
+    if (!fit) return DEFAULT_VOLATILITY; // Default if not enough return data
+
+    return this.boundVolatility(Math.sqrt(fit.nextVariance * 365), bounds);
+  }
+
+  // Garman-Klass estimate from daily high, low, open and close
+  calculateRangeVolatility(bars, bounds) {
+    const annualizedVol = calculateGarmanKlassVolatility(bars);
+
+    if (annualizedVol === null) return DEFAULT_VOLATILITY; // Default if not enough bars
+
+    return this.boundVolatility(annualizedVol, bounds);
+  }
+
+  // Realized vol of daily log-odds changes, on the scale the logit-normal model uses
+  calculateLogitSpaceVolatility(bars, bounds) {
+    const annualizedVol = calculateLogitVolatility(bars);
+
+    if (annualizedVol === null) return DEFAULT_VOLATILITY; // Default if not enough return data
+
+    return this.boundVolatility(annualizedVol, bounds);
   }
 
   getDynamicVolatility(marketId, timeToExpiry) {
     // Check if we have cached volatility
     if (this.volatilityCache.has(marketId)) {
       const cachedVol = this.volatilityCache.get(marketId);
-      return this.applyTermStructure(cachedVol, timeToExpiry);
+      return this.applyTermStructure(cachedVol, timeToExpiry, marketId);
     }
     
     // If not cached, use a default and update async
-    this.updateVolatilityEstimate(marketId);
-    return this.applyTermStructure(0.3, timeToExpiry); // Default volatility
+    this.requestVolatilityEstimate(marketId);
+    return this.applyTermStructure(DEFAULT_VOLATILITY, timeToExpiry, marketId); // Default volatility
+  }
+
+  // Start a background estimate unless one is already running, so a burst of
+  // cache misses reads the market's history once
+  requestVolatilityEstimate(marketId) {
+    if (!this.pendingEstimates.has(marketId)) {
+      const estimate = this.updateVolatilityEstimate(marketId)
+        .finally(() => this.pendingEstimates.delete(marketId));
+      this.pendingEstimates.set(marketId, estimate);
+    }
+    return this.pendingEstimates.get(marketId);
+  }
+
+  // Implied vols only mean something under the model that solved them, so each
+  // market keeps one surface per pricing model
+  getSurfaceKey(marketId, modelName) {
+    return `${marketId}|${modelName}`;
+  }
+
+  getSurfaceVolatility(marketId, strike, timeToExpiry, modelName) {
+    return this.resolveSurfaceVolatility(marketId, strike, timeToExpiry, modelName).volatility;
   }
 
-  applyTermStructure(baseVol, timeToExpiry) {
+  // Volatility plus where it came from: 'implied' when read off a surface calibrated
+  // to quotes, 'historical' otherwise or when source 'historical' is requested.
+  // Historical vols carry the space their estimator measures, which need not be
+  // the space the model diffuses in.
+  resolveSurfaceVolatility(marketId, strike, timeToExpiry, modelName, source) {
+    const surface = source === 'historical' ? null : this.getSurface(marketId, modelName);
+    const surfaceVolatility = surface ? surface.getVolatility(strike, timeToExpiry) : null;
+    const resolvedSource = surfaceVolatility === null ? 'historical' : surface.source;
+
+    // Without a surface, fall back to the market's historical term structure
+    const volatility = surfaceVolatility ?? this.getDynamicVolatility(marketId, timeToExpiry);
+
+    return resolvedSource === 'historical'
+      ? { volatility, source: resolvedSource, space: this.getEstimator(this.getMarketVolatilitySettings(marketId)).space }
+      : { volatility, source: resolvedSource };
+  }
+
+  getSurface(marketId, modelName) {
+    return this.surfaces.get(this.getSurfaceKey(marketId, modelName)) || null;
+  }
+
+  // Build the model's surface from implied vols where they exist, historical vol otherwise.
+  // Quotes are { strike (0-100), timeToExpiry, impliedVolatility }.
+  calibrateSurface(marketId, quotes = [], modelName) {
+    const key = this.getSurfaceKey(marketId, modelName);
+    const existing = this.surfaces.get(key);
+    const validQuotes = quotes.filter(quote =>
+      quote.timeToExpiry > 0 &&
+      Number.isFinite(quote.impliedVolatility) &&
+      quote.impliedVolatility > 0
+    );
+
+    // A failed calibration leaves the last good surface in place
+    if (validQuotes.length === 0) {
+      return existing || this.buildHistoricalSurface(marketId, modelName);
+    }
+
+    // Add to an existing implied surface so each expiry can be calibrated on its own
+    const surface = existing && existing.source === 'implied'
+      ? existing
+      : new VolatilitySurface(marketId, 'implied');
+
+    const slices = new Map();
+    for (const quote of validQuotes) {
+      const tenorKey = Math.round(quote.timeToExpiry * 365); // Group quotes by expiry day
+      if (!slices.has(tenorKey)) {
+        slices.set(tenorKey, { timeToExpiry: quote.timeToExpiry, points: [] });
+      }
+      slices.get(tenorKey).points.push({ strike: quote.strike, volatility: quote.impliedVolatility });
+    }
+
+    for (const slice of slices.values()) {
+      surface.setSlice(slice.timeToExpiry, this.averageDuplicateStrikes(slice.points));
+    }
+
+    this.surfaces.set(key, surface);
+    return surface;
+  }
+
+  buildHistoricalSurface(marketId, modelName) {
+    const baseVol = this.volatilityCache.has(marketId) ? this.volatilityCache.get(marketId) : DEFAULT_VOLATILITY;
+    const surface = new VolatilitySurface(marketId, 'historical');
+
+    // Historical data carries no smile, so each tenor gets a flat slice
+    for (const timeToExpiry of SURFACE_TENORS) {
+      const volatility = this.applyTermStructure(baseVol, timeToExpiry, marketId);
+      surface.setSlice(timeToExpiry, [
+        { strike: 0, volatility },
+        { strike: 100, volatility }
+      ]);
+    }
+
+    this.surfaces.set(this.getSurfaceKey(marketId, modelName), surface);
+    return surface;
+  }
+
+  // Calls and puts at the same strike both imply a volatility; keep their mean
+  averageDuplicateStrikes(points) {
+    const byStrike = new Map();
+    for (const point of points) {
+      const entry = byStrike.get(point.strike) || { total: 0, count: 0 };
+      entry.total += point.volatility;
+      entry.count += 1;
+      byStrike.set(point.strike, entry);
+    }
+
+    return Array.from(byStrike, ([strike, { total, count }]) => ({ strike, volatility: total / count }));
+  }
+
+  applyTermStructure(baseVol, timeToExpiry, marketId) {
     // Adjust volatility based on time to expiry
-    // This is a simplified term structure model
     if (timeToExpiry <= 0) return baseVol;
+
+    // Prefer the term structure fitted from the market's own realized vol
+    const termStructure = this.termStructures.get(marketId);
+    if (termStructure) {
+      const { lookbackDays } = this.getMarketVolatilitySettings(marketId);
+      return baseVol * this.getTermStructureMultiplier(termStructure, timeToExpiry, lookbackDays);
+    }
     
+    // Until enough data has been recorded, use a simplified default curve
     // Short term: higher vol, long term: lower vol
     if (timeToExpiry < 0.1) { // Less than ~1 month
       return baseVol * (1 + (0.1 - timeToExpiry) * 3); // Increase for short term
@@ -457,14 +1633,77 @@ export class VolatilityService {
     return baseVol;
   }
 
+  // Fit the term structure from realized vol over several lookback windows.
+  // Each window's realized vol stands in for the vol at a tenor of that length.
+  async calibrateTermStructure(marketId) {
+    const longestWindow = Math.max(...TERM_STRUCTURE_WINDOWS);
+    const historicalData = await this.historicalDataService.getHistoricalData(marketId, longestWindow);
+    const now = Date.now();
+
+    const points = [];
+    for (const days of TERM_STRUCTURE_WINDOWS) {
+      const cutoff = now - days * 24 * 60 * 60 * 1000;
+      const windowData = (historicalData || []).filter(item => new Date(item.timestamp).getTime() >= cutoff);
+      const volatility = this.calculateRealizedVolatility(windowData, MIN_TERM_STRUCTURE_RETURNS);
+
+      if (volatility !== null && volatility > 0) {
+        points.push({ timeToExpiry: days / 365, volatility });
+      }
+    }
+
+    // A single window cannot describe a term structure
+    if (points.length < 2) {
+      this.termStructures.delete(marketId);
+      return null;
+    }
+
+    const termStructure = { points, updatedAt: new Date() };
+    this.termStructures.set(marketId, termStructure);
+    return termStructure;
+  }
+
+  getTermStructure(marketId) {
+    return this.termStructures.get(marketId) || null;
+  }
+
+  // Ratio of the fitted vol at this tenor to the vol at the base estimate's lookback
+  getTermStructureMultiplier(termStructure, timeToExpiry, lookbackDays = BASE_VOLATILITY_WINDOW) {
+    const referenceVol = this.interpolateTermStructure(termStructure.points, lookbackDays / 365);
+    const tenorVol = this.interpolateTermStructure(termStructure.points, timeToExpiry);
+
+    return referenceVol > 0 ? tenorVol / referenceVol : 1;
+  }
+
+  interpolateTermStructure(points, timeToExpiry) {
+    // Flat extrapolation beyond the shortest and longest windows
+    if (timeToExpiry <= points[0].timeToExpiry) return points[0].volatility;
+    if (timeToExpiry >= points[points.length - 1].timeToExpiry) return points[points.length - 1].volatility;
+
+    const upperIndex = points.findIndex(point => point.timeToExpiry >= timeToExpiry);
+    const lower = points[upperIndex - 1];
+    const upper = points[upperIndex];
+    const weight = (timeToExpiry - lower.timeToExpiry) / (upper.timeToExpiry - lower.timeToExpiry);
+
+    return lower.volatility + (upper.volatility - lower.volatility) * weight;
+  }
+
   async updateVolatilityEstimate(marketId) {
     try {
       const volatility = await this.calculateVolatility(marketId);
       this.volatilityCache.set(marketId, volatility);
+      await this.calibrateTermStructure(marketId);
+
+      // Historical surfaces follow the latest estimate; implied ones keep their quotes
+      for (const [key, surface] of this.surfaces) {
+        if (surface.marketId === marketId && surface.source === 'historical') {
+          this.buildHistoricalSurface(marketId, key.slice(`${marketId}|`.length));
+        }
+      }
+
       return volatility;
     } catch (error) {
       console.error("Error updating volatility:", error);
-      return 0.3; // Default on error
+      return DEFAULT_VOLATILITY; // Default on error
     }
   }
 }
@@ -473,16 +1712,29 @@ export class MarketMonitor {
   constructor() {
     this.markets = new Map();
     this.pollingIntervals = new Map();
+    this.subscriberCounts = new Map(); // Market ID -> open startMonitoring calls
     this.listeners = [];
+    this.marketDataSource = null;
   }
 
+  // (marketId) => Promise<{ price, volume, timestamp, generated }>. Without one the
+  // monitor simulates prices, flagged generated so they are never recorded.
+  setMarketDataSource(source) {
+    this.marketDataSource = source;
+  }
+
+  // Resolves once the initial fetch has been published
+  // Each startMonitoring call needs a matching stopMonitoring; polling stops
+  // once the last subscriber to a market has stopped
   startMonitoring(marketId, interval = 30000) { // Default 30 seconds
+    this.subscriberCounts.set(marketId, (this.subscriberCounts.get(marketId) || 0) + 1);
+
     if (this.pollingIntervals.has(marketId)) {
-      return; // Already monitoring
+      return Promise.resolve(); // Already monitoring
     }
     
     // Initial fetch
-    this.fetchAndUpdate(marketId);
+    const initialFetch = this.fetchAndUpdate(marketId);
     
     // Set up polling
     const intervalId = setInterval(() => {
@@ -490,9 +1742,17 @@ export class MarketMonitor {
     }, interval);
     
     this.pollingIntervals.set(marketId, intervalId);
+    return initialFetch;
   }
 
   stopMonitoring(marketId) {
+    const subscribers = (this.subscriberCounts.get(marketId) || 0) - 1;
+    if (subscribers > 0) {
+      this.subscriberCounts.set(marketId, subscribers);
+      return;
+    }
+
+    this.subscriberCounts.delete(marketId);
     if (this.pollingIntervals.has(marketId)) {
       clearInterval(this.pollingIntervals.get(marketId));
       this.pollingIntervals.delete(marketId);
@@ -508,9 +1768,9 @@ export class MarketMonitor {
 
   async fetchAndUpdate(marketId) {
     try {
-      // In a real implementation, this would call an API service
-      // For now, we'll simulate with mock data
-      const marketData = await this.fetchMockMarketData(marketId);
+      const marketData = this.marketDataSource
+        ? { marketId, ...(await this.marketDataSource(marketId)) }
+        : await this.fetchMockMarketData(marketId);
       
       const previousData = this.markets.get(marketId);
       this.markets.set(marketId, marketData);
@@ -551,7 +1811,8 @@ export class MarketMonitor {
       marketId,
       price: newPrice,
       volume,
-      timestamp: now
+      timestamp: now,
+      generated: true
     };
   }
 }
@@ -0,0 +1,462 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  BlackScholesBinaryModel,
+  ImpliedVolatilitySolver,
+  JumpToResolutionModel,
+  LogitNormalBinaryModel,
+  OptionsPricingEngine
+} from './optionsPricing';
+import { createNormalGenerator, createSeededRandom } from './monteCarlo';
+import { VOLATILITY_ESTIMATORS, buildDailyBars } from './volatilityEstimators';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY_MS);
+
+describe('OptionsPricingEngine market resolution', () => {
+  const engine = new OptionsPricingEngine();
+
+  it('settles exotic paths on the outcome once the market resolves', () => {
+    const oneTouch = {
+      marketId: 'm',
+      currentPrice: 0.5,
+      expiry: inDays(60),
+      type: 'one-touch',
+      barrier: 80,
+      model: 'logit-normal',
+      paths: 4000
+    };
+
+    // Barely reachable by diffusion alone, but a YES resolution jumps through it
+    const diffusing = engine.priceExoticOption(oneTouch);
+    const resolving = engine.priceExoticOption({ ...oneTouch, marketExpiresAt: inDays(10) });
+
+    expect(diffusing.settlesOnResolution).toBe(false);
+    expect(diffusing.midPrice).toBeLessThan(0.05);
+    expect(resolving.settlesOnResolution).toBe(true);
+    expect(resolving.midPrice).toBeGreaterThan(0.45);
+  });
+
+  it('prices exotics past resolution the same at any later expiry, up to discounting', () => {
+    const knockOut = {
+      marketId: 'm',
+      currentPrice: 0.4,
+      type: 'knock-out',
+      barrier: 10,
+      strike: 50,
+      payoffType: 'call',
+      model: 'logit-normal',
+      marketExpiresAt: inDays(20),
+      paths: 4000
+    };
+
+    const at60 = engine.priceExoticOption({ ...knockOut, expiry: inDays(60) });
+    const at120 = engine.priceExoticOption({ ...knockOut, expiry: inDays(120) });
+    const undiscounted = (price, days) => price.midPrice / Math.exp(-engine.getRiskFreeRate(days / 365) * days / 365);
+
+    expect(at60.steps).toBe(at120.steps);
+    expect(undiscounted(at60, 60)).toBeCloseTo(undiscounted(at120, 120), 2);
+  });
+
+  it('settles spread legs whose market resolves before expiry', async () => {
+    const spread = {
+      marketIdA: 'a',
+      marketIdB: 'b',
+      currentPriceA: 0.3,
+      currentPriceB: 0.6,
+      strike: 0,
+      expiry: inDays(60),
+      type: 'spread-call',
+      correlation: 0
+    };
+    const discountFactor = Math.exp(-engine.getRiskFreeRate(60 / 365) * 60 / 365);
+
+    // A above B needs A to resolve YES while B is still below 1
+    const legA = await engine.priceSpreadOption({ ...spread, marketExpiresAtA: inDays(30) });
+    expect(legA.settlesOnResolutionA).toBe(true);
+    expect(legA.settlesOnResolutionB).toBe(false);
+    expect(legA.midPrice / discountFactor).toBeCloseTo(0.3, 3);
+
+    // Independent resolutions: A YES and B NO
+    const both = await engine.priceSpreadOption({ ...spread, marketExpiresAtA: inDays(30), marketExpiresAtB: inDays(45) });
+    expect(both.midPrice / discountFactor).toBeCloseTo(0.3 * 0.4, 3);
+
+    // Markets that resolve after expiry leave the price unchanged
+    const later = await engine.priceSpreadOption({ ...spread, marketExpiresAtA: inDays(90), marketExpiresAtB: inDays(90) });
+    const unresolved = await engine.priceSpreadOption(spread);
+    expect(later.midPrice).toBeCloseTo(unresolved.midPrice, 10);
+  });
+
+  it('keeps correlated resolutions consistent with the diffusing leg', async () => {
+    const spread = {
+      marketIdA: 'a',
+      marketIdB: 'b',
+      currentPriceA: 0.5,
+      currentPriceB: 0.5,
+      strike: 0,
+      expiry: inDays(60),
+      type: 'spread-call',
+      marketExpiresAtA: inDays(30),
+      marketExpiresAtB: inDays(30)
+    };
+
+    // Perfectly aligned markets almost never split; opposed ones split half the time
+    const aligned = await engine.priceSpreadOption({ ...spread, correlation: 0.999 });
+    const opposed = await engine.priceSpreadOption({ ...spread, correlation: -0.999 });
+
+    expect(aligned.midPrice).toBeLessThan(0.05);
+    expect(opposed.midPrice).toBeGreaterThan(0.45);
+  });
+});
+
+describe('OptionsPricingEngine.initialize', () => {
+  it('sets up once however often it is called', async () => {
+    const engine = new OptionsPricingEngine();
+
+    await Promise.all([engine.initialize(), engine.initialize()]);
+    await engine.initialize();
+
+    // The recorder and the engine's own update listener
+    expect(engine.marketMonitor.listeners.length).toBe(2);
+  });
+
+  it('retries after a failed setup', async () => {
+    const engine = new OptionsPricingEngine();
+    const rateCurveService = engine.rateCurveService;
+    engine.rateCurveService = { initialize: () => Promise.reject(new Error('offline')) };
+
+    await expect(engine.initialize()).rejects.toThrow('offline');
+
+    engine.rateCurveService = rateCurveService;
+    await engine.initialize();
+    expect(engine.marketMonitor.listeners.length).toBe(2);
+  });
+});
+
+describe('OptionsPricingEngine volatility surfaces', () => {
+  const expiry = inDays(30);
+  const quote = (impliedVolatility) => ({ strike: 50, expiry, impliedVolatility });
+
+  it('keeps the implied surface when a recalibration has no valid quotes', () => {
+    const engine = new OptionsPricingEngine();
+    engine.calibrateVolatilitySurface('m', 0.5, [quote(0.8)], { model: 'black-scholes' });
+
+    const surface = engine.calibrateVolatilitySurface('m', 0.5, [quote(NaN)], { model: 'black-scholes' });
+
+    expect(surface.source).toBe('implied');
+    expect(engine.volatilityService.getSurfaceVolatility('m', 50, 30 / 365, 'black-scholes')).toBeCloseTo(0.8, 10);
+  });
+
+  it('keeps a separate surface per pricing model', () => {
+    const engine = new OptionsPricingEngine();
+    engine.calibrateVolatilitySurface('m', 0.5, [quote(0.8)], { model: 'black-scholes' });
+    engine.calibrateVolatilitySurface('m', 0.5, [quote(2.5)], { model: 'logit-normal' });
+
+    expect(engine.volatilityService.getSurfaceVolatility('m', 50, 30 / 365, 'black-scholes')).toBeCloseTo(0.8, 10);
+    expect(engine.volatilityService.getSurfaceVolatility('m', 50, 30 / 365, 'logit-normal')).toBeCloseTo(2.5, 10);
+    expect(engine.volatilityService.getSurface('m', 'jump-to-resolution')).toBeNull();
+  });
+
+  it('marks chain quotes priced off an implied surface', () => {
+    const engine = new OptionsPricingEngine();
+    engine.calibrateVolatilitySurface('m', 0.5, [quote(0.8)], { model: 'black-scholes' });
+
+    const sourceFor = (model) => engine.priceChain('m', [50], [expiry], { currentPrice: 0.5, model }).quotes[0].calls[0].volatilitySource;
+
+    expect(sourceFor('black-scholes')).toBe('implied');
+    expect(sourceFor('logit-normal')).toBe('historical');
+    expect(engine.priceChain('m', [50], [expiry], { currentPrice: 0.5, volatility: 1 }).quotes[0].calls[0].volatilitySource).toBe('override');
+  });
+
+  it('prices off the estimator when asked to skip the implied surface', () => {
+    const engine = new OptionsPricingEngine();
+    engine.volatilityService.volatilityCache.set('m', 0.4);
+    const historical = engine.priceChain('m', [50], [expiry], { currentPrice: 0.5, model: 'black-scholes' }).quotes[0].calls[0];
+    engine.calibrateVolatilitySurface('m', 0.5, [quote(0.8)], { model: 'black-scholes' });
+
+    const call = engine.priceChain('m', [50], [expiry], { currentPrice: 0.5, model: 'black-scholes', volatilitySource: 'historical' }).quotes[0].calls[0];
+
+    expect(call.volatilitySource).toBe('historical');
+    expect(call.volatility).toBeCloseTo(historical.volatility, 10);
+    expect(call.midPrice).toBeCloseTo(historical.midPrice, 10);
+  });
+});
+
+describe('OptionsPricingEngine volatility estimates', () => {
+  it('resolves historical vol once per tenor and shares one estimate across cache misses', async () => {
+    const engine = new OptionsPricingEngine();
+    const { volatilityService } = engine;
+    const dynamicVolatility = vi.spyOn(volatilityService, 'getDynamicVolatility');
+    const calculateVolatility = vi.spyOn(volatilityService, 'calculateVolatility').mockResolvedValue(0.4);
+
+    const strikes = [20, 40, 60, 80];
+    const expiries = [inDays(7), inDays(30), inDays(90)];
+    engine.priceChain('m', strikes, expiries, { currentPrice: 0.5 });
+    engine.priceChain('m', strikes, expiries, { currentPrice: 0.5 });
+
+    expect(dynamicVolatility).toHaveBeenCalledTimes(2 * expiries.length);
+    expect(calculateVolatility).toHaveBeenCalledTimes(1);
+
+    await volatilityService.pendingEstimates.get('m');
+    expect(volatilityService.volatilityCache.get('m')).toBe(0.4);
+    expect(volatilityService.pendingEstimates.size).toBe(0);
+  });
+});
+
+describe('OptionsPricingEngine historical volatility', () => {
+  // Ten days of 30-second ticks from a log-price random walk with annual vol 0.6
+  const recordTicks = () => {
+    const normal = createNormalGenerator(createSeededRandom(7));
+    const stepMs = 30 * 1000;
+    const stepStdDev = 0.6 * Math.sqrt(stepMs / (365 * DAY_MS));
+    const start = Date.now() - 10 * DAY_MS;
+    const ticks = [];
+
+    let logPrice = Math.log(0.5);
+    for (let time = start; time < start + 10 * DAY_MS; time += stepMs) {
+      ticks.push({ marketId: 'm', price: Math.exp(logPrice), timestamp: new Date(time) });
+      logPrice += stepStdDev * normal();
+    }
+    return ticks;
+  };
+
+  it('annualizes recorded ticks by their spacing', () => {
+    const { volatilityService } = new OptionsPricingEngine();
+    const ticks = recordTicks();
+
+    expect(volatilityService.calculateRealizedVolatility(ticks)).toBeCloseTo(0.6, 1);
+  });
+
+  it('runs every estimator on the same daily bars', async () => {
+    const { volatilityService } = new OptionsPricingEngine();
+    const ticks = recordTicks();
+    const bars = buildDailyBars(ticks);
+    volatilityService.historicalDataService = {
+      getCandles: async () => bars,
+      getHistoricalData: async () => { throw new Error('estimators should not read raw ticks'); }
+    };
+
+    for (const { id } of VOLATILITY_ESTIMATORS) {
+      const settings = { estimator: id, lookbackDays: 30, ewmaLambda: 0.94 };
+      volatilityService.marketSettings.set('m', settings);
+
+      const fromBars = volatilityService.estimateVolatilityFromBars(bars, settings);
+      expect(volatilityService.estimateVolatility(ticks, settings)).toBe(fromBars);
+      expect(await volatilityService.calculateVolatility('m')).toBe(fromBars);
+    }
+
+    // Nine daily returns are a noisy sample, but nowhere near the 0.1 floor
+    for (const estimator of ['historical', 'ewma']) {
+      const volatility = volatilityService.estimateVolatilityFromBars(bars, { estimator, ewmaLambda: 0.94 });
+      expect(volatility).toBeGreaterThan(0.3);
+      expect(volatility).toBeLessThan(1);
+    }
+  });
+
+  it('rejects a lookback too short for the estimator', async () => {
+    const engine = new OptionsPricingEngine();
+
+    await expect(engine.setMarketVolatilitySettings('m', { estimator: 'garch', lookbackDays: 7 })).rejects.toThrow(/at least 21 days/);
+    expect(engine.volatilityService.getMarketVolatilitySettings('m').estimator).toBe('historical');
+  });
+
+  it('converts an estimate into the space each model diffuses in', () => {
+    const engine = new OptionsPricingEngine();
+    const { volatilityService } = engine;
+    volatilityService.marketSettings.set('m', { estimator: 'logit' });
+    volatilityService.volatilityCache.set('m', 2);
+
+    const volatilityFor = (model) => engine.priceChain('m', [60], [inDays(30)], { currentPrice: 0.8, model }).quotes[0].calls[0].volatility;
+    const logOdds = volatilityFor('logit-normal');
+
+    expect(volatilityFor('jump-to-resolution')).toBeCloseTo(logOdds, 10);
+    expect(volatilityFor('black-scholes')).toBeCloseTo(logOdds * 0.2, 10);
+
+    // A log-return estimate goes the other way
+    volatilityService.marketSettings.set('m', { estimator: 'historical' });
+    expect(volatilityFor('logit-normal')).toBeCloseTo(volatilityFor('black-scholes') / 0.2, 10);
+  });
+});
+
+describe('OptionsPricingEngine market monitoring', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+
+  it('records monitored ticks and backfills the gaps between them', async () => {
+    const engine = new OptionsPricingEngine();
+    await engine.initialize();
+
+    const now = Date.now();
+    const ticks = [
+      { price: 0.41, timestamp: new Date(now - 2 * HOUR_MS) },
+      { price: 0.45, timestamp: new Date(now) }
+    ];
+    engine.marketMonitor.setMarketDataSource(async () => ticks.shift());
+
+    // Daily history before the first tick, half-hourly points inside the gap, and
+    // a generated point that must not be stored
+    const history = [
+      ...[[3, 0.33], [2, 0.32], [1, 0.31]].map(([days, price]) => ({ price, timestamp: now - days * DAY_MS })),
+      ...[1.5, 1, 0.5].map(hours => ({ price: 0.43, timestamp: now - hours * HOUR_MS })),
+      { price: 0.9, timestamp: now - 1.25 * HOUR_MS, generated: true }
+    ];
+    engine.marketDataRecorder.setHistoricalPriceSource(async () => history);
+
+    // Two polls with a two-hour silence between them
+    await engine.startMonitoring('m', HOUR_MS);
+    engine.stopMonitoring('m');
+    await engine.startMonitoring('m', HOUR_MS);
+    engine.stopMonitoring('m');
+    await engine.marketDataRecorder.drain();
+
+    const stored = await engine.historicalDataService.getHistoricalData('m', 7);
+    expect(stored.map(point => point.price)).toEqual([0.33, 0.32, 0.31, 0.41, 0.43, 0.43, 0.43, 0.45]);
+  });
+
+  it('never records generated prices', async () => {
+    const engine = new OptionsPricingEngine();
+    await engine.initialize();
+
+    // No market data source: the monitor simulates prices
+    engine.marketDataRecorder.setHistoricalPriceSource(async () => [{ price: 0.5, timestamp: Date.now() - DAY_MS, generated: true }]);
+    await engine.startMonitoring('m', HOUR_MS);
+    engine.stopMonitoring('m');
+    await engine.marketDataRecorder.drain();
+
+    expect(await engine.historicalDataService.getHistoricalData('m', 7)).toEqual([]);
+  });
+
+  it('keeps polling until every subscriber has stopped', async () => {
+    const engine = new OptionsPricingEngine();
+    const { marketMonitor } = engine;
+    marketMonitor.setMarketDataSource(async () => ({ price: 0.5, timestamp: new Date() }));
+
+    await engine.startMonitoring('m', HOUR_MS);
+    await engine.startMonitoring('m', HOUR_MS);
+    engine.stopMonitoring('m');
+    expect(marketMonitor.pollingIntervals.has('m')).toBe(true);
+
+    engine.stopMonitoring('m');
+    expect(marketMonitor.pollingIntervals.has('m')).toBe(false);
+
+    // An unmatched stop does not leave a negative count behind
+    engine.stopMonitoring('m');
+    await engine.startMonitoring('m', HOUR_MS);
+    engine.stopMonitoring('m');
+    expect(marketMonitor.pollingIntervals.has('m')).toBe(false);
+  });
+});
+
+describe('ImpliedVolatilitySolver', () => {
+  const model = new BlackScholesBinaryModel();
+  const solver = new ImpliedVolatilitySolver(model);
+  const contract = { currentProbability: 50, strikeProbability: 60, timeToExpiry: 0.25, riskFreeRate: 0.05, optionType: 'call' };
+  const premiumAt = (volatility, overrides = {}) => model.calculatePrice({ ...contract, ...overrides, volatility, liquidityFactor: 0 }).midPrice;
+
+  it('recovers the volatility behind a premium', () => {
+    const inTheMoney = { strikeProbability: 40 };
+    const result = solver.solve({ ...contract, ...inTheMoney, premium: premiumAt(0.3, inTheMoney) });
+
+    expect(result.converged).toBe(true);
+    expect(result.impliedVolatility).toBeCloseTo(0.3, 5);
+  });
+
+  it('takes the lowest root where the premium is not monotonic in volatility', () => {
+    // Out of the money, the call's value peaks near vol 1 and falls again, so a
+    // second, higher vol gives the same premium
+    const premium = premiumAt(0.7);
+    expect(premiumAt(1)).toBeGreaterThan(premium);
+    expect(premiumAt(3)).toBeLessThan(premium);
+
+    const result = solver.solve({ ...contract, premium });
+    expect(result.converged).toBe(true);
+    expect(result.impliedVolatility).toBeCloseTo(0.7, 5);
+  });
+
+  it('rejects premiums outside the no-arbitrage bounds', () => {
+    const discountFactor = Math.exp(-contract.riskFreeRate * contract.timeToExpiry);
+
+    for (const premium of [0, -0.1, discountFactor, 1]) {
+      const result = solver.solve({ ...contract, premium });
+      expect(result).toMatchObject({ impliedVolatility: null, converged: false, reason: 'arbitrage-violation' });
+    }
+  });
+
+  it('reports premiums no volatility in range reproduces', () => {
+    // An out-of-the-money binary call is worth well under 0.45 at any volatility
+    const result = solver.solve({ ...contract, premium: 0.45 });
+
+    expect(result).toMatchObject({ impliedVolatility: null, converged: false, reason: 'no-solution' });
+    expect(result.message).toMatch(/No volatility between/);
+  });
+
+  it('reports expired and unparseable inputs', () => {
+    expect(solver.solve({ ...contract, premium: 0.3, timeToExpiry: 0 }).reason).toBe('expired');
+    expect(solver.solve({ ...contract, premium: NaN }).reason).toBe('invalid-premium');
+  });
+});
+
+describe('JumpToResolutionModel', () => {
+  const diffusion = new LogitNormalBinaryModel();
+  const model = new JumpToResolutionModel(diffusion);
+  const contract = {
+    currentProbability: 30,
+    strikeProbability: 50,
+    timeToExpiry: 60 / 365,
+    volatility: 2,
+    riskFreeRate: 0.05,
+    optionType: 'call',
+    liquidityFactor: 0
+  };
+  const discountFactor = Math.exp(-contract.riskFreeRate * contract.timeToExpiry);
+
+  it('prices like its diffusion when the market cannot resolve early', () => {
+    const price = model.calculatePrice(contract);
+
+    expect(price.resolutionProbability).toBe(0);
+    expect(price.midPrice).toBeCloseTo(diffusion.calculatePrice(contract).midPrice, 12);
+  });
+
+  it('resolves with the closed-form hazard from news and the resolution date', () => {
+    const timeToResolution = 120 / 365;
+    const survival = Math.exp(-4 * contract.timeToExpiry) *
+      Math.pow((timeToResolution - contract.timeToExpiry) / timeToResolution, 0.5);
+
+    expect(model.calculateResolutionProbability({ ...contract, newsIntensity: 4 })).toBeCloseTo(1 - Math.exp(-4 * contract.timeToExpiry), 12);
+    expect(model.calculateResolutionProbability({ ...contract, newsIntensity: 4, timeToResolution })).toBeCloseTo(1 - survival, 12);
+    expect(model.calculateResolutionProbability({ ...contract, timeToExpiry: 0, newsIntensity: 4 })).toBe(0);
+  });
+
+  it('mixes the resolved payoff and the diffusion by the resolution probability', () => {
+    const withNews = { ...contract, newsIntensity: 4 };
+    const { midPrice, resolutionProbability } = model.calculatePrice(withNews);
+    const diffusionPrice = diffusion.calculatePrice(contract).midPrice;
+
+    // A resolved market pays the call with the current probability
+    const expected = resolutionProbability * discountFactor * 0.3 + (1 - resolutionProbability) * diffusionPrice;
+    expect(midPrice).toBeCloseTo(expected, 12);
+
+    // Calls and puts still sum to the discount factor
+    const put = model.calculatePrice({ ...withNews, optionType: 'put' });
+    expect(midPrice + put.midPrice).toBeCloseTo(discountFactor, 10);
+  });
+
+  it('settles on the outcome when the option outlives the market', () => {
+    const price = model.calculatePrice({ ...contract, timeToResolution: 30 / 365 });
+
+    expect(price.resolutionProbability).toBe(1);
+    expect(price.midPrice).toBeCloseTo(discountFactor * 0.3, 12);
+    expect(price.gamma).toBe(0);
+    expect(price.vega).toBe(0);
+  });
+
+  it('reports theta as the one-day change with both clocks moving', () => {
+    const params = { ...contract, newsIntensity: 2, timeToResolution: 90 / 365 };
+    const { midPrice, theta } = model.calculatePrice(params);
+    const tomorrow = model.calculateMidPrice({
+      ...params,
+      timeToExpiry: contract.timeToExpiry - 1 / 365,
+      timeToResolution: 89 / 365
+    });
+
+    expect(theta).toBeCloseTo(tomorrow - midPrice, 12);
+  });
+});
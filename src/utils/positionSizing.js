@@ -0,0 +1,146 @@
+// Position sizing for binary options. A contract bought at price c pays 1 with
+// the trader's probability p, so full Kelly stakes (p - c) / (1 - c) of the
+// bankroll. Selling at the bid is buying the complement: it costs 1 - bid and
+// pays with probability 1 - p. Sizes account for the AMM's slippage, which
+// raises the price paid as the order grows, and its maximum order size.
+// Contracts trade whole, so sizes are rounded down before anything is costed.
+
+export const POSITION_SIZING_RULES = [
+  { id: 'kelly', label: 'Full Kelly' },
+  { id: 'fractional-kelly', label: 'Fractional Kelly' },
+  { id: 'max-loss', label: 'Max loss' }
+];
+
+export class PositionSizer {
+  // The AMM supplies liquidity pools and its slippage model
+  constructor(amm, options = {}) {
+    this.amm = amm;
+    this.options = {
+      kellyFraction: 0.5,     // Share of full Kelly staked by the fractional rule
+      maxLossFraction: 0.02,  // Share of bankroll the max-loss rule may lose
+      maxBuyPrice: 0.99,      // Execution price caps applied by AMM.executeTrade
+      minSellPrice: 0.01,
+      iterations: 60,         // Bisection steps when solving for the size
+      ...options
+    };
+  }
+
+  // Recommend a quantity for trading optionId on side 'buy' or 'sell'.
+  // forecast is the trader's probability that the option pays out; askPrice is
+  // used for buys and bidPrice for sells. Without a liquidity pool the quote is
+  // taken as the execution price and no order size limit applies.
+  recommend(optionId, {
+    side = 'buy',
+    forecast,
+    askPrice,
+    bidPrice,
+    bankroll,
+    rule = 'fractional-kelly',
+    kellyFraction = this.options.kellyFraction,
+    maxLossFraction = this.options.maxLossFraction
+  } = {}) {
+    if (!POSITION_SIZING_RULES.some(candidate => candidate.id === rule)) {
+      throw new Error(`Unknown position sizing rule: ${rule}`);
+    }
+    if (side !== 'buy' && side !== 'sell') {
+      throw new Error(`Unknown trade side: ${side}`);
+    }
+    if (!(forecast >= 0 && forecast <= 1)) {
+      throw new Error('Forecast must be a probability between 0 and 1');
+    }
+    if (!(bankroll > 0)) {
+      throw new Error('Bankroll must be positive');
+    }
+
+    const quote = side === 'buy' ? askPrice : bidPrice;
+    if (!(quote > 0 && quote < 1)) {
+      throw new Error(`A ${side === 'buy' ? 'ask' : 'bid'} price between 0 and 1 is required`);
+    }
+
+    const pool = optionId ? this.amm.liquidityPools.get(optionId) : null;
+    const maxOrderSize = pool ? pool.maxOrderSize : Infinity;
+    const winProbability = side === 'buy' ? forecast : 1 - forecast;
+
+    // Stake the rule allows at a given cost per contract
+    const targetStake = (cost) => {
+      if (rule === 'max-loss') {
+        return winProbability > cost ? maxLossFraction * bankroll : 0;
+      }
+      const fraction = rule === 'kelly' ? 1 : kellyFraction;
+      return fraction * this.calculateKellyFraction(winProbability, cost) * bankroll;
+    };
+
+    // Spending grows with quantity while the allowed stake shrinks as slippage
+    // raises the cost, so the largest affordable quantity is found by bisection
+    const affordable = (quantity) => {
+      const { cost } = this.getExecution(pool, side, quote, quantity);
+      return quantity * cost <= targetStake(cost);
+    };
+
+    const startingCost = this.getExecution(pool, side, quote, 0).cost;
+    let upper = Math.min(maxOrderSize, targetStake(startingCost) / startingCost);
+    let largestQuantity = 0;
+
+    if (upper > 0) {
+      if (affordable(upper)) {
+        largestQuantity = upper;
+      } else {
+        let lower = 0;
+        for (let i = 0; i < this.options.iterations; i++) {
+          const middle = (lower + upper) / 2;
+          if (affordable(middle)) {
+            lower = middle;
+          } else {
+            upper = middle;
+          }
+        }
+        largestQuantity = lower;
+      }
+    }
+
+    // Fewer contracts cost less per contract, so rounding down stays affordable
+    const quantity = Math.floor(largestQuantity + 1e-9);
+    const execution = this.getExecution(pool, side, quote, quantity);
+    const constraints = [];
+    if (pool && quantity > 0 && largestQuantity >= maxOrderSize - 1e-9) constraints.push('max-order-size');
+    if (execution.slippage > 0) constraints.push('slippage');
+    if (quantity === 0) constraints.push(largestQuantity > 0 ? 'below-one-contract' : 'no-edge');
+
+    return {
+      optionId,
+      side,
+      rule,
+      quantity,
+      executionPrice: execution.price,
+      slippage: execution.slippage,
+      cost: quantity * execution.cost,
+      maxLoss: quantity * execution.cost,
+      expectedProfit: quantity * (winProbability - execution.cost),
+      kellyFraction: this.calculateKellyFraction(winProbability, execution.cost),
+      bankrollFraction: quantity * execution.cost / bankroll,
+      maxOrderSize: pool ? maxOrderSize : null,
+      constraints
+    };
+  }
+
+  // Full Kelly share of bankroll for a contract costing cost that pays 1 with winProbability
+  calculateKellyFraction(winProbability, cost) {
+    if (cost >= 1 || winProbability <= cost) return 0;
+    return (winProbability - cost) / (1 - cost);
+  }
+
+  // Execution price and per-contract capital at risk, mirroring AMM.executeTrade
+  getExecution(pool, side, quote, quantity) {
+    const slippage = pool && pool.liquidity > 0 && quantity > 0
+      ? this.amm.calculateSlippage(quantity, pool.liquidity)
+      : 0;
+
+    if (side === 'buy') {
+      const price = Math.min(quote * (1 + slippage), this.options.maxBuyPrice);
+      return { price, slippage, cost: price };
+    }
+
+    const price = Math.max(quote * (1 - slippage), this.options.minSellPrice);
+    return { price, slippage, cost: 1 - price };
+  }
+}
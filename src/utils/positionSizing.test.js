@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { AMM } from './amm';
+
+describe('PositionSizer', () => {
+  const createAmm = () => {
+    const amm = new AMM();
+    amm.addLiquidity('pool', 1000, 0.4);
+    return amm;
+  };
+
+  it('sizes whole contracts and costs what it sizes', () => {
+    const amm = createAmm();
+    const size = amm.recommendPositionSize('pool', {
+      side: 'buy',
+      forecast: 0.6,
+      askPrice: 0.4,
+      bidPrice: 0.38,
+      bankroll: 1000,
+      rule: 'max-loss',
+      maxLossFraction: 0.0333
+    });
+
+    expect(Number.isInteger(size.quantity)).toBe(true);
+    expect(size.quantity).toBeGreaterThan(0);
+    expect(size.cost).toBeCloseTo(size.quantity * amm.positionSizer.getExecution(amm.liquidityPools.get('pool'), 'buy', 0.4, size.quantity).cost, 12);
+    expect(size.maxLoss).toBe(size.cost);
+    expect(size.cost).toBeLessThanOrEqual(0.0333 * 1000);
+  });
+
+  it('reports a stake too small for one contract', () => {
+    const size = createAmm().recommendPositionSize(null, {
+      side: 'sell',
+      forecast: 0.3,
+      askPrice: 0.5,
+      bidPrice: 0.4,
+      bankroll: 10,
+      rule: 'max-loss',
+      maxLossFraction: 0.01
+    });
+
+    expect(size.quantity).toBe(0);
+    expect(size.cost).toBe(0);
+    expect(size.constraints).toContain('below-one-contract');
+  });
+});
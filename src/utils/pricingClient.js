@@ -0,0 +1,257 @@
+// Async facade over the pricing engine. Requests run in a Web Worker so pricing,
+// volatility recalculation and IndexedDB reads never block rendering; without
+// Worker support they run on the main thread behind the same promise-based API.
+// Either way there is one engine: every setting, surface and recorded tick lives
+// in the worker's engine, and the main-thread engine is only loaded as a fallback.
+
+// Engine methods that may be called through the pricing worker
+export const PRICING_WORKER_METHODS = [
+  'getPriceForOption',
+  'priceChain',
+  'priceExoticOption',
+  'priceSpreadOption',
+  'priceCategoricalOption',
+  'getImpliedVolatility',
+  'calibrateVolatilitySurface',
+  'getAvailablePricingModels',
+  'setMarketPricingModel',
+  'setMarketNewsIntensity',
+  'getAvailableVolatilityEstimators',
+  'getMarketVolatilitySettings',
+  'setMarketVolatilitySettings',
+  'backtestPricingModel',
+  'comparePricingModels',
+  'validateOptionChain',
+  'getCandles',
+  'getHistoricalDataMigrationStatus',
+  'startMonitoring',
+  'stopMonitoring'
+];
+
+function createAbortError() {
+  const error = new Error('Pricing request cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+export class PricingWorkerClient {
+  constructor() {
+    this.worker = null;
+    this.workerDisabled = false;
+    this.pending = new Map(); // Request ID -> { resolve, reject, cleanup }
+    this.nextId = 1;
+    this.fallbackEngine = null;
+  }
+
+  getWorker() {
+    if (this.worker || this.workerDisabled || typeof Worker === 'undefined') {
+      return this.worker;
+    }
+
+    try {
+      this.worker = new Worker(new URL('../workers/pricingWorker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      this.worker.onerror = (event) => this.handleWorkerFailure(event);
+    } catch (error) {
+      console.error('Failed to start pricing worker, pricing on the main thread:', error);
+      this.worker = null;
+      this.workerDisabled = true;
+    }
+
+    return this.worker;
+  }
+
+  // Run an engine method; pass { signal } from an AbortController to cancel it
+  request(method, args = [], { signal } = {}) {
+    if (!PRICING_WORKER_METHODS.includes(method)) {
+      return Promise.reject(new Error(`Unknown pricing method: ${method}`));
+    }
+
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    const worker = this.getWorker();
+    if (!worker) {
+      return this.requestOnMainThread(method, args, signal);
+    }
+
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        worker.postMessage({ id, type: 'cancel' });
+        this.settle(id);
+        reject(createAbortError());
+      };
+      signal?.addEventListener('abort', onAbort);
+
+      this.pending.set(id, {
+        resolve,
+        reject,
+        cleanup: () => signal?.removeEventListener('abort', onAbort)
+      });
+      worker.postMessage({ id, type: 'call', method, args });
+    });
+  }
+
+  async requestOnMainThread(method, args, signal) {
+    const engine = await this.getFallbackEngine();
+    await engine.initialize();
+
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+
+    return engine[method](...args);
+  }
+
+  // Loaded on first use so the main thread never builds an engine it does not need
+  getFallbackEngine() {
+    if (!this.fallbackEngine) {
+      this.fallbackEngine = Promise.all([
+        import('./optionsPricing'),
+        import('./pricingEngineSources')
+      ]).then(([{ optionsPricingEngine }, { connectPricingEngine }]) => connectPricingEngine(optionsPricingEngine));
+    }
+
+    return this.fallbackEngine;
+  }
+
+  handleMessage(message) {
+    const request = this.settle(message.id);
+    if (!request) return; // Already cancelled on this side
+
+    switch (message.type) {
+      case 'result':
+        request.resolve(message.result);
+        break;
+      case 'error': {
+        const error = new Error(message.error.message);
+        error.name = message.error.name;
+        request.reject(error);
+        break;
+      }
+      case 'cancelled':
+        request.reject(createAbortError());
+        break;
+      default:
+        request.reject(new Error(`Unknown pricing worker response: ${message.type}`));
+    }
+  }
+
+  handleWorkerFailure(event) {
+    console.error('Pricing worker failed, pricing on the main thread:', event.message);
+
+    for (const id of Array.from(this.pending.keys())) {
+      this.settle(id).reject(new Error('Pricing worker failed'));
+    }
+
+    this.worker.terminate();
+    this.worker = null;
+    this.workerDisabled = true; // Stay on the main thread from now on
+  }
+
+  settle(id) {
+    const request = this.pending.get(id);
+    if (!request) return null;
+
+    this.pending.delete(id);
+    request.cleanup();
+    return request;
+  }
+
+  getPriceForOption(optionDetails, options) {
+    return this.request('getPriceForOption', [optionDetails], options);
+  }
+
+  priceChain(marketId, strikes, expiries, chainOptions, options) {
+    return this.request('priceChain', [marketId, strikes, expiries, chainOptions], options);
+  }
+
+  priceExoticOption(optionDetails, options) {
+    return this.request('priceExoticOption', [optionDetails], options);
+  }
+
+  priceSpreadOption(optionDetails, options) {
+    return this.request('priceSpreadOption', [optionDetails], options);
+  }
+
+  priceCategoricalOption(optionDetails, options) {
+    return this.request('priceCategoricalOption', [optionDetails], options);
+  }
+
+  getImpliedVolatility(optionDetails, premium, options) {
+    return this.request('getImpliedVolatility', [optionDetails, premium], options);
+  }
+
+  calibrateVolatilitySurface(marketId, currentPrice, quotes, calibrationOptions = {}, options) {
+    return this.request('calibrateVolatilitySurface', [marketId, currentPrice, quotes, calibrationOptions], options);
+  }
+
+  getAvailablePricingModels(options) {
+    return this.request('getAvailablePricingModels', [], options);
+  }
+
+  setMarketPricingModel(marketId, model, options) {
+    return this.request('setMarketPricingModel', [marketId, model], options);
+  }
+
+  setMarketNewsIntensity(marketId, intensity, options) {
+    return this.request('setMarketNewsIntensity', [marketId, intensity], options);
+  }
+
+  getAvailableVolatilityEstimators(options) {
+    return this.request('getAvailableVolatilityEstimators', [], options);
+  }
+
+  getMarketVolatilitySettings(marketId, options) {
+    return this.request('getMarketVolatilitySettings', [marketId], options);
+  }
+
+  setMarketVolatilitySettings(marketId, settings, options) {
+    return this.request('setMarketVolatilitySettings', [marketId, settings], options);
+  }
+
+  backtestPricingModel(marketId, backtestOptions, options) {
+    return this.request('backtestPricingModel', [marketId, backtestOptions], options);
+  }
+
+  comparePricingModels(marketId, configurations, backtestOptions, options) {
+    return this.request('comparePricingModels', [marketId, configurations, backtestOptions], options);
+  }
+
+  validateOptionChain(chain, validationOptions, options) {
+    return this.request('validateOptionChain', [chain, validationOptions], options);
+  }
+
+  getCandles(marketId, resolution, candleOptions, options) {
+    return this.request('getCandles', [marketId, resolution, candleOptions], options);
+  }
+
+  getHistoricalDataMigrationStatus(options) {
+    return this.request('getHistoricalDataMigrationStatus', [], options);
+  }
+
+  startMonitoring(marketId, interval, options) {
+    return this.request('startMonitoring', [marketId, interval], options);
+  }
+
+  stopMonitoring(marketId, options) {
+    return this.request('stopMonitoring', [marketId], options);
+  }
+
+  terminate() {
+    for (const id of Array.from(this.pending.keys())) {
+      this.settle(id).reject(createAbortError());
+    }
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
+
+// Create and export singleton instance
+export const pricingClient = new PricingWorkerClient();
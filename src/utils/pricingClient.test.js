@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { PricingWorkerClient, PRICING_WORKER_METHODS } from './pricingClient';
+import { optionsPricingEngine } from './optionsPricing';
+
+describe('PricingWorkerClient without Worker support', () => {
+  it('prices on the shared engine and connects it to market data', async () => {
+    const client = new PricingWorkerClient();
+
+    await client.setMarketNewsIntensity('m', 3);
+    const price = await client.getPriceForOption({
+      marketId: 'm',
+      currentPrice: 0.5,
+      strike: 50,
+      expiry: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      type: 'call'
+    });
+
+    expect(price.midPrice).toBeGreaterThan(0);
+    expect(optionsPricingEngine.getMarketNewsIntensity('m')).toBe(3);
+    expect(typeof optionsPricingEngine.marketDataRecorder.historicalPriceSource).toBe('function');
+    expect(typeof optionsPricingEngine.marketMonitor.marketDataSource).toBe('function');
+  });
+
+  it('only runs listed engine methods', async () => {
+    const client = new PricingWorkerClient();
+
+    expect(PRICING_WORKER_METHODS.every(method => typeof optionsPricingEngine[method] === 'function')).toBe(true);
+    await expect(client.request('initialize')).rejects.toThrow('Unknown pricing method: initialize');
+  });
+});
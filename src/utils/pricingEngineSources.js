@@ -0,0 +1,19 @@
+// Connects a pricing engine to the app's market data. The pricing worker and
+// the main-thread fallback both call this on the engine they price with, so
+// history is recorded and backfilled by the same engine that reads it.
+import { polymarketService } from '../services/PolymarketService';
+
+export function connectPricingEngine(engine) {
+  // Monitored markets are polled for their live price
+  engine.marketMonitor.setMarketDataSource(async (marketId) => {
+    const market = await polymarketService.getMarketById(marketId);
+    return { price: market.currentPrice, timestamp: new Date(), generated: market.generated === true };
+  });
+
+  // Gaps in recorded history are filled from Polymarket's price history
+  engine.marketDataRecorder.setHistoricalPriceSource(
+    (marketId, timeRange) => polymarketService.getHistoricalPrices(marketId, timeRange)
+  );
+
+  return engine;
+}
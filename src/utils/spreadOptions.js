@@ -0,0 +1,324 @@
+// Spread and relative-value binaries on two markets. Each market's log-odds
+// follow a driftless Brownian motion (as in the logit-normal model) and the two
+// are correlated through the joint history of their prices.
+
+export const SPREAD_OPTION_TYPES = [
+  'spread-call',         // Pays 1 if pA - pB ends above the strike (probability points)
+  'spread-put',          // Pays 1 if pA - pB ends below the strike
+  'outperformance-call', // Pays 1 if A's relative price change beats B's
+  'outperformance-put'   // Pays 1 if B's relative price change beats A's
+];
+
+export class CorrelationService {
+  constructor(historicalDataService, options = {}) {
+    this.historicalDataService = historicalDataService;
+    this.options = {
+      bucketMinutes: 60,     // Both histories are sampled on this grid before comparing
+      minObservations: 10,   // Paired changes needed before the estimate is trusted
+      defaultCorrelation: 0, // Used when the markets have too little joint history
+      ...options
+    };
+  }
+
+  // Correlation of log-odds changes over the window, with the sample it came from
+  async estimateCorrelation(marketIdA, marketIdB, days = 30) {
+    const [historyA, historyB] = await Promise.all([
+      this.historicalDataService.getHistoricalData(marketIdA, days),
+      this.historicalDataService.getHistoricalData(marketIdB, days)
+    ]);
+
+    const { changesA, changesB } = this.alignChanges(historyA || [], historyB || []);
+
+    if (changesA.length < this.options.minObservations) {
+      return {
+        correlation: this.options.defaultCorrelation,
+        observations: changesA.length,
+        source: 'default'
+      };
+    }
+
+    const correlation = this.calculateCorrelation(changesA, changesB);
+
+    return {
+      correlation: correlation ?? this.options.defaultCorrelation,
+      observations: changesA.length,
+      source: correlation === null ? 'default' : 'historical'
+    };
+  }
+
+  // Sample both markets on a shared time grid (last price in each bucket) and
+  // take log-odds changes between consecutive buckets where both markets traded
+  alignChanges(historyA, historyB) {
+    const bucketA = this.bucketPrices(historyA);
+    const bucketB = this.bucketPrices(historyB);
+    const sharedBuckets = Array.from(bucketA.keys())
+      .filter(bucket => bucketB.has(bucket))
+      .sort((a, b) => a - b);
+
+    const changesA = [];
+    const changesB = [];
+    for (let i = 1; i < sharedBuckets.length; i++) {
+      const previous = sharedBuckets[i - 1];
+      const current = sharedBuckets[i];
+      changesA.push(this.logit(bucketA.get(current)) - this.logit(bucketA.get(previous)));
+      changesB.push(this.logit(bucketB.get(current)) - this.logit(bucketB.get(previous)));
+    }
+
+    return { changesA, changesB };
+  }
+
+  bucketPrices(history) {
+    const bucketSize = this.options.bucketMinutes * 60 * 1000;
+    const sorted = history
+      .filter(point => Number.isFinite(point.price))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const buckets = new Map(); // Bucket start (ms) -> last price in the bucket
+    for (const point of sorted) {
+      buckets.set(Math.floor(new Date(point.timestamp).getTime() / bucketSize), point.price);
+    }
+
+    return buckets;
+  }
+
+  calculateCorrelation(xs, ys) {
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < xs.length; i++) {
+      covariance += (xs[i] - meanX) * (ys[i] - meanY);
+      varianceX += Math.pow(xs[i] - meanX, 2);
+      varianceY += Math.pow(ys[i] - meanY, 2);
+    }
+
+    // A market that never moved has no defined correlation
+    if (varianceX === 0 || varianceY === 0) return null;
+
+    return Math.max(-1, Math.min(1, covariance / Math.sqrt(varianceX * varianceY)));
+  }
+
+  logit(p) {
+    const clamped = Math.min(1 - 1e-6, Math.max(1e-6, p));
+    return Math.log(clamped / (1 - clamped));
+  }
+}
+
+export class SpreadOptionModel {
+  // The marginal model supplies the normal distribution and log-odds helpers
+  constructor(marginalModel, options = {}) {
+    this.marginalModel = marginalModel;
+    this.options = {
+      integrationPoints: 201, // Grid points for the conditional expectation over market A
+      integrationWidth: 8,    // Standard deviations covered on each side
+      maxCorrelation: 0.999,  // Keeps the conditional distribution of B non-degenerate
+      probabilityBump: 0.5,   // Percentage points, for the per-market deltas
+      correlationBump: 0.01,
+      ...options
+    };
+  }
+
+  calculatePrice(params) {
+    const {
+      currentProbabilityA, // Market A probability (0-100)
+      currentProbabilityB, // Market B probability (0-100)
+      strike = 0,          // Spread strike in probability points (-100 to 100), spread options only
+      timeToExpiry,        // Time to expiry in years
+      timeToResolutionA,   // Optional time until market A resolves, in years
+      timeToResolutionB,   // Optional time until market B resolves, in years
+      volatilityA,         // Annualized log-odds volatility of market A
+      volatilityB,         // Annualized log-odds volatility of market B
+      correlation,         // Correlation of the two markets' log-odds changes
+      riskFreeRate,        // Risk-free rate
+      optionType,          // One of SPREAD_OPTION_TYPES
+      liquidityFactor = 0  // Factor to adjust spread based on liquidity
+    } = params;
+
+    if (!SPREAD_OPTION_TYPES.includes(optionType)) {
+      throw new Error(`Unsupported spread option type: ${optionType}`);
+    }
+
+    const discountFactor = Math.exp(-riskFreeRate * timeToExpiry);
+    const probabilityAbove = this.calculateProbabilityAbove(params);
+    const isCall = optionType.endsWith('-call');
+
+    const midPrice = Math.max(0, Math.min(1, discountFactor * (isCall ? probabilityAbove : 1 - probabilityAbove)));
+
+    // Spread widens with the volatility of the difference between the two markets
+    const clampedCorrelation = this.clampCorrelation(correlation);
+    const spreadVolatility = Math.sqrt(Math.max(0,
+      volatilityA * volatilityA + volatilityB * volatilityB - 2 * clampedCorrelation * volatilityA * volatilityB
+    ));
+    // Uncertainty only lasts until the first market resolves
+    const diffusionTime = Math.min(timeToExpiry, timeToResolutionA ?? Infinity, timeToResolutionB ?? Infinity);
+    const halfSpread = liquidityFactor * spreadVolatility * Math.sqrt(Math.max(0, diffusionTime)) / 2;
+
+    return {
+      midPrice,
+      bidPrice: Math.max(0, midPrice - halfSpread),
+      askPrice: Math.min(1, midPrice + halfSpread),
+      settlesOnResolutionA: this.resolvesBeforeExpiry(timeToExpiry, timeToResolutionA),
+      settlesOnResolutionB: this.resolvesBeforeExpiry(timeToExpiry, timeToResolutionB),
+      timestamp: new Date(),
+      ...this.calculateSensitivities({
+        currentProbabilityA,
+        currentProbabilityB,
+        strike,
+        timeToExpiry,
+        timeToResolutionA,
+        timeToResolutionB,
+        volatilityA,
+        volatilityB,
+        correlation: clampedCorrelation,
+        riskFreeRate,
+        optionType
+      })
+    };
+  }
+
+  // Risk-neutral probability that A finishes above its threshold against B
+  // (the spread above the strike, or A outperforming B). Conditional on A's
+  // terminal log-odds, B is normal, so only a 1-D integral over A is needed.
+  //
+  // A market that resolves before expiry finishes at 1 with probability equal
+  // to its current price. It resolves YES when its standard normal shock is
+  // above the (1 - p) quantile, so it stays correlated with the other market.
+  calculateProbabilityAbove(params) {
+    const { currentProbabilityA, currentProbabilityB, strike = 0, timeToExpiry, volatilityA, volatilityB, optionType } = params;
+    const { integrationPoints, integrationWidth } = this.options;
+    const model = this.marginalModel;
+
+    const startA = model.clampProbability(currentProbabilityA / 100);
+    const startB = model.clampProbability(currentProbabilityB / 100);
+    const resolvesA = this.resolvesBeforeExpiry(timeToExpiry, params.timeToResolutionA);
+    const resolvesB = this.resolvesBeforeExpiry(timeToExpiry, params.timeToResolutionB);
+    const correlation = this.clampCorrelation(params.correlation);
+    const stdDevA = volatilityA * Math.sqrt(timeToExpiry);
+    const stdDevB = volatilityB * Math.sqrt(timeToExpiry);
+    const conditionalStdDevB = stdDevB * Math.sqrt(1 - correlation * correlation);
+    const resolutionCutoffA = normalQuantile(1 - startA);
+    const resolutionCutoffB = normalQuantile(1 - startB);
+
+    // Largest probability of B that still pays out, given A's terminal probability
+    const thresholdB = optionType.startsWith('spread')
+      ? (terminalA) => terminalA - strike / 100
+      : (terminalA) => terminalA * startB / startA;
+
+    // Probability of the payout given A's shock z and where A finishes
+    const probabilityGivenA = (z, terminalA) => {
+      const threshold = thresholdB(terminalA);
+
+      // A resolved B finishes at 0 or 1, so it pays below a threshold in (0, 1] by resolving NO
+      if (resolvesB) {
+        if (threshold <= 0) return 0;
+        if (threshold > 1) return 1;
+        return model.normalCDF((resolutionCutoffB - correlation * z) / Math.sqrt(1 - correlation * correlation));
+      }
+
+      if (threshold <= 0) return 0;
+      if (threshold >= 1) return 1;
+
+      const conditionalMeanB = model.logit(startB) + correlation * stdDevB * z;
+      const distance = model.logit(threshold) - conditionalMeanB;
+
+      if (conditionalStdDevB <= 0) return distance > 0 ? 1 : 0;
+      return model.normalCDF(distance / conditionalStdDevB);
+    };
+
+    const diffusedA = (z) => 1 / (1 + Math.exp(-(model.logit(startA) + stdDevA * z)));
+
+    // Nothing left to diffuse or resolve: A sits at its current value
+    if (stdDevA <= 0 && !resolvesA && !resolvesB) return probabilityGivenA(0, startA);
+
+    // Trapezoidal rule against the standard normal density of A's shock
+    const integrate = (lower, upper, terminalAt) => {
+      if (upper <= lower) return 0;
+
+      const step = (upper - lower) / (integrationPoints - 1);
+      let total = 0;
+      for (let i = 0; i < integrationPoints; i++) {
+        const z = lower + i * step;
+        const weight = i === 0 || i === integrationPoints - 1 ? 0.5 : 1;
+        total += weight * model.normalPDF(z) * probabilityGivenA(z, terminalAt(z));
+      }
+      return total * step;
+    };
+
+    // A resolving A jumps from 0 to 1 at its cutoff, so each side is integrated separately
+    const cutoff = Math.max(-integrationWidth, Math.min(integrationWidth, resolutionCutoffA));
+    const probability = resolvesA
+      ? integrate(-integrationWidth, cutoff, () => 0) + integrate(cutoff, integrationWidth, () => 1)
+      : integrate(-integrationWidth, integrationWidth, diffusedA);
+
+    return Math.max(0, Math.min(1, probability));
+  }
+
+  resolvesBeforeExpiry(timeToExpiry, timeToResolution) {
+    return timeToResolution !== undefined && timeToExpiry >= timeToResolution;
+  }
+
+  // Deltas per unit of each market's probability (0-1) and the price change per
+  // 0.01 of correlation, all by central differences on the mid price
+  calculateSensitivities(params) {
+    const { probabilityBump, correlationBump } = this.options;
+    const priceAt = (overrides) => {
+      const bumped = { ...params, ...overrides };
+      const probabilityAbove = this.calculateProbabilityAbove(bumped);
+      const payout = bumped.optionType.endsWith('-call') ? probabilityAbove : 1 - probabilityAbove;
+      return Math.exp(-bumped.riskFreeRate * bumped.timeToExpiry) * payout;
+    };
+
+    // Steps shrink near 0% or 100% so both stay inside and the difference stays centered
+    const deltaFor = (key) => {
+      const step = Math.max(1e-6, Math.min(probabilityBump, Math.min(params[key], 100 - params[key]) / 10));
+      const up = Math.min(params[key] + step, 100 - 1e-6);
+      const down = Math.max(params[key] - step, 1e-6);
+      return (priceAt({ [key]: up }) - priceAt({ [key]: down })) / (up - down) * 100;
+    };
+
+    const correlationUp = this.clampCorrelation(params.correlation + correlationBump);
+    const correlationDown = this.clampCorrelation(params.correlation - correlationBump);
+    const correlationSensitivity = correlationUp > correlationDown
+      ? (priceAt({ correlation: correlationUp }) - priceAt({ correlation: correlationDown })) /
+        (correlationUp - correlationDown) * 0.01
+      : 0;
+
+    return {
+      deltaA: deltaFor('currentProbabilityA'),
+      deltaB: deltaFor('currentProbabilityB'),
+      correlationSensitivity
+    };
+  }
+
+  clampCorrelation(correlation) {
+    const { maxCorrelation } = this.options;
+    return Math.max(-maxCorrelation, Math.min(maxCorrelation, correlation || 0));
+  }
+}
+
+// Inverse of the standard normal CDF (Acklam's rational approximation,
+// relative error below 1.2e-9) for p in (0, 1)
+function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const lowTail = 0.02425;
+
+  if (p < lowTail) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (p > 1 - lowTail) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
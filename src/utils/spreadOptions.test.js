@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { SpreadOptionModel } from './spreadOptions';
+import { LogitNormalBinaryModel } from './optionsPricing';
+import { createNormalGenerator, createSeededRandom } from './monteCarlo';
+
+describe('SpreadOptionModel', () => {
+  const model = new SpreadOptionModel(new LogitNormalBinaryModel());
+  const contract = {
+    currentProbabilityA: 60,
+    currentProbabilityB: 45,
+    strike: 10,
+    timeToExpiry: 90 / 365,
+    volatilityA: 1.2,
+    volatilityB: 0.8,
+    correlation: 0.4,
+    riskFreeRate: 0.05
+  };
+  const discountFactor = Math.exp(-contract.riskFreeRate * contract.timeToExpiry);
+
+  it('splits the discounted payout between calls and puts', () => {
+    const scenarios = [
+      {},
+      { correlation: -0.7 },
+      { timeToResolutionB: 30 / 365 },
+      { timeToResolutionA: 30 / 365, timeToResolutionB: 60 / 365 }
+    ];
+
+    for (const scenario of scenarios) {
+      for (const kind of ['spread', 'outperformance']) {
+        const call = model.calculatePrice({ ...contract, ...scenario, optionType: `${kind}-call` });
+        const put = model.calculatePrice({ ...contract, ...scenario, optionType: `${kind}-put` });
+        expect(call.midPrice + put.midPrice).toBeCloseTo(discountFactor, 8);
+      }
+    }
+  });
+
+  it('matches a simulation of the correlated log-odds', () => {
+    const normal = createNormalGenerator(createSeededRandom(3));
+    const logit = (p) => Math.log(p / (1 - p));
+    const terminal = (start, volatility, shock) => 1 / (1 + Math.exp(-(logit(start) + volatility * Math.sqrt(contract.timeToExpiry) * shock)));
+    const paths = 40000;
+
+    let above = 0;
+    for (let i = 0; i < paths; i++) {
+      const zA = normal();
+      const zB = contract.correlation * zA + Math.sqrt(1 - contract.correlation ** 2) * normal();
+      const spread = terminal(0.6, contract.volatilityA, zA) - terminal(0.45, contract.volatilityB, zB);
+      if (spread > contract.strike / 100) above++;
+    }
+
+    // Three standard errors of the simulated probability
+    expect(Math.abs(model.calculateProbabilityAbove({ ...contract, optionType: 'spread-call' }) - above / paths)).toBeLessThan(0.0075);
+  });
+
+  it('settles two resolving markets on their joint outcome', () => {
+    const resolved = { ...contract, correlation: 0, strike: 0, timeToResolutionA: 30 / 365, timeToResolutionB: 30 / 365 };
+
+    // A beats B only when A resolves YES and B resolves NO
+    expect(model.calculateProbabilityAbove({ ...resolved, optionType: 'spread-call' })).toBeCloseTo(0.6 * 0.55, 3);
+    expect(model.calculatePrice({ ...resolved, optionType: 'spread-call' })).toMatchObject({
+      settlesOnResolutionA: true,
+      settlesOnResolutionB: true
+    });
+  });
+
+  it('rejects unknown option types', () => {
+    expect(() => model.calculatePrice({ ...contract, optionType: 'spread' })).toThrow('Unsupported spread option type: spread');
+  });
+});
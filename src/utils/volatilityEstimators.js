@@ -0,0 +1,238 @@
+// Volatility estimators beyond simple historical and EWMA: GARCH(1,1) fitted by
+// maximum likelihood, Garman-Klass on OHLC bars, and realized vol of log-odds.
+// All work on daily bars so the sqrt(365) annualization holds however often
+// prices were recorded.
+
+// Estimators offered per market. Bounds are the defaults applied to each
+// estimate; log-odds volatility runs far higher than price volatility. Space is
+// the quantity whose volatility is measured, and minLookbackDays the shortest
+// window holding enough daily bars for the estimator to fit.
+export const VOLATILITY_ESTIMATORS = [
+  { id: 'historical', label: 'Historical', space: 'log-return', minLookbackDays: 3, bounds: { min: 0.1, max: 1.0 } }, // 2 returns
+  { id: 'ewma', label: 'EWMA', space: 'log-return', minLookbackDays: 3, bounds: { min: 0.1, max: 1.0 } },
+  { id: 'garch', label: 'GARCH(1,1)', space: 'log-return', minLookbackDays: 21, bounds: { min: 0.05, max: 2.0 } }, // 20 returns
+  { id: 'range', label: 'Range (Garman-Klass)', space: 'log-return', minLookbackDays: 5, bounds: { min: 0.05, max: 2.0 } },
+  { id: 'logit', label: 'Logit-space', space: 'log-odds', minLookbackDays: 6, bounds: { min: 0.1, max: 5.0 } } // 5 changes
+];
+
+// Lookback windows (days) offered per market
+export const VOLATILITY_LOOKBACKS = [7, 30, 90];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Restate a volatility measured in one space in another at probability p (0-1).
+// d logit(p) = (dp / p) / (1 - p), so log-odds vol is log-return vol / (1 - p).
+export function convertVolatility(volatility, fromSpace, toSpace, probability) {
+  if (!fromSpace || !toSpace || fromSpace === toSpace) return volatility;
+
+  const p = Math.min(0.99, Math.max(0.01, probability));
+  if (fromSpace === 'log-return' && toSpace === 'log-odds') return volatility / (1 - p);
+  if (fromSpace === 'log-odds' && toSpace === 'log-return') return volatility * (1 - p);
+
+  throw new Error(`Cannot convert volatility from ${fromSpace} to ${toSpace}`);
+}
+
+// Group raw price points into daily open/high/low/close bars, oldest first
+export function buildDailyBars(data) {
+  const sorted = data
+    .filter(point => Number.isFinite(point.price) && point.price > 0)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const bars = [];
+  for (const point of sorted) {
+    const day = Math.floor(new Date(point.timestamp).getTime() / DAY_MS);
+    const bar = bars[bars.length - 1];
+
+    if (bar && bar.day === day) {
+      bar.high = Math.max(bar.high, point.price);
+      bar.low = Math.min(bar.low, point.price);
+      bar.close = point.price;
+      bar.count += 1;
+    } else {
+      bars.push({ day, open: point.price, high: point.price, low: point.price, close: point.price, count: 1 });
+    }
+  }
+
+  return bars;
+}
+
+// Log returns between consecutive daily closes, with the number of days each
+// spans so a missing day does not count as a single day's move. Accepts bars
+// from buildDailyBars ({ day }) or '1d' candles ({ start }).
+export function calculateDailyReturns(bars) {
+  const dayOf = (bar) => bar.day ?? Math.floor(bar.start / DAY_MS);
+  const returns = [];
+
+  for (let i = 1; i < bars.length; i++) {
+    const days = dayOf(bars[i]) - dayOf(bars[i - 1]);
+    if (days > 0 && bars[i].close > 0 && bars[i - 1].close > 0) {
+      returns.push({ logReturn: Math.log(bars[i].close / bars[i - 1].close), days });
+    }
+  }
+
+  return returns;
+}
+
+// Annualized Garman-Klass volatility, or null with fewer than minBars usable bars.
+// Bars built from a single observation carry no range and are skipped.
+export function calculateGarmanKlassVolatility(bars, minBars = 5) {
+  const usable = bars.filter(bar => (bar.count ?? 2) > 1 && bar.low > 0 && bar.open > 0);
+  if (usable.length < minBars) return null;
+
+  const variance = usable.reduce((sum, bar) => {
+    const highLow = Math.log(bar.high / bar.low);
+    const closeOpen = Math.log(bar.close / bar.open);
+    return sum + 0.5 * highLow * highLow - (2 * Math.LN2 - 1) * closeOpen * closeOpen;
+  }, 0) / usable.length;
+
+  return Math.sqrt(Math.max(0, variance) * 365);
+}
+
+// Annualized volatility of daily log-odds changes, the quantity the
+// logit-normal model diffuses. Returns null with fewer than minReturns changes.
+export function calculateLogitVolatility(bars, minReturns = 5) {
+  const logit = (p) => {
+    const clamped = Math.min(1 - 1e-6, Math.max(1e-6, p));
+    return Math.log(clamped / (1 - clamped));
+  };
+
+  const changes = [];
+  for (let i = 1; i < bars.length; i++) {
+    changes.push(logit(bars[i].close) - logit(bars[i - 1].close));
+  }
+
+  if (changes.length < Math.max(2, minReturns)) return null;
+
+  const mean = changes.reduce((sum, value) => sum + value, 0) / changes.length;
+  const variance = changes.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (changes.length - 1);
+
+  return Math.sqrt(variance * 365);
+}
+
+export class GarchModel {
+  constructor(options = {}) {
+    this.options = {
+      minReturns: 20,        // Fewer returns cannot pin down three parameters
+      maxIterations: 500,
+      tolerance: 1e-8,
+      maxPersistence: 0.999, // alpha + beta stays below 1 so the variance is stationary
+      ...options
+    };
+  }
+
+  // Fit omega, alpha and beta to daily log returns by maximizing the Gaussian
+  // likelihood. Returns null when there are too few returns or no variation.
+  fit(returns) {
+    if (returns.length < this.options.minReturns) return null;
+
+    const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+    const residuals = returns.map(value => value - mean);
+    const sampleVariance = residuals.reduce((sum, value) => sum + value * value, 0) / residuals.length;
+    if (!(sampleVariance > 0)) return null;
+
+    // Search in unconstrained coordinates; toParameters maps back into the valid region
+    const objective = (point) => -this.logLikelihood(residuals, this.toParameters(point), sampleVariance);
+    const start = this.fromParameters({ omega: sampleVariance * 0.1, alpha: 0.1, beta: 0.8 });
+    const best = this.minimize(objective, start);
+    const parameters = this.toParameters(best);
+
+    // Filter through the sample to get the variance going into the next day
+    let variance = sampleVariance;
+    for (const residual of residuals) {
+      variance = parameters.omega + parameters.alpha * residual * residual + parameters.beta * variance;
+    }
+
+    const persistence = parameters.alpha + parameters.beta;
+
+    return {
+      ...parameters,
+      persistence,
+      logLikelihood: -objective(best),
+      nextVariance: variance,
+      longRunVariance: parameters.omega / (1 - persistence)
+    };
+  }
+
+  logLikelihood(residuals, { omega, alpha, beta }, initialVariance) {
+    let variance = initialVariance;
+    let logLikelihood = 0;
+
+    for (const residual of residuals) {
+      if (!(variance > 0) || !Number.isFinite(variance)) return -Infinity;
+      logLikelihood -= 0.5 * (Math.log(2 * Math.PI) + Math.log(variance) + residual * residual / variance);
+      variance = omega + alpha * residual * residual + beta * variance;
+    }
+
+    return logLikelihood;
+  }
+
+  toParameters([logOmega, persistenceLogit, alphaShareLogit]) {
+    const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+    const persistence = this.options.maxPersistence * sigmoid(persistenceLogit);
+    const alpha = persistence * sigmoid(alphaShareLogit);
+
+    return { omega: Math.exp(logOmega), alpha, beta: persistence - alpha };
+  }
+
+  fromParameters({ omega, alpha, beta }) {
+    const logit = (p) => Math.log(p / (1 - p));
+    const persistence = alpha + beta;
+
+    return [Math.log(omega), logit(persistence / this.options.maxPersistence), logit(alpha / persistence)];
+  }
+
+  // Nelder-Mead simplex search; the likelihood has no cheap gradient
+  minimize(objective, start) {
+    const { maxIterations, tolerance } = this.options;
+    const valueOf = (point) => {
+      const value = objective(point);
+      return Number.isFinite(value) ? value : Infinity;
+    };
+
+    let simplex = [start, ...start.map((_, i) => start.map((x, j) => (i === j ? x + 0.5 : x)))]
+      .map(point => ({ point, value: valueOf(point) }));
+
+    const combine = (a, b, weight) => a.map((x, i) => x + weight * (b[i] - x));
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      simplex.sort((a, b) => a.value - b.value);
+      const best = simplex[0];
+      const worst = simplex[simplex.length - 1];
+      if (Math.abs(worst.value - best.value) < tolerance) break;
+
+      const centroid = start.map((_, i) =>
+        simplex.slice(0, -1).reduce((sum, vertex) => sum + vertex.point[i], 0) / (simplex.length - 1)
+      );
+
+      const reflected = combine(centroid, worst.point, -1);
+      const reflectedValue = valueOf(reflected);
+
+      if (reflectedValue < best.value) {
+        const expanded = combine(centroid, worst.point, -2);
+        const expandedValue = valueOf(expanded);
+        simplex[simplex.length - 1] = expandedValue < reflectedValue
+          ? { point: expanded, value: expandedValue }
+          : { point: reflected, value: reflectedValue };
+      } else if (reflectedValue < simplex[simplex.length - 2].value) {
+        simplex[simplex.length - 1] = { point: reflected, value: reflectedValue };
+      } else {
+        const contracted = combine(centroid, worst.point, 0.5);
+        const contractedValue = valueOf(contracted);
+
+        if (contractedValue < worst.value) {
+          simplex[simplex.length - 1] = { point: contracted, value: contractedValue };
+        } else {
+          // Shrink every vertex towards the best one
+          simplex = simplex.map((vertex, i) => {
+            if (i === 0) return vertex;
+            const point = combine(best.point, vertex.point, 0.5);
+            return { point, value: valueOf(point) };
+          });
+        }
+      }
+    }
+
+    simplex.sort((a, b) => a.value - b.value);
+    return simplex[0].point;
+  }
+}
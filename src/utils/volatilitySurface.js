@@ -0,0 +1,69 @@
+// Per-market volatility surface keyed by strike and time to expiry
+
+// Tenors (in years) used when a surface has to be built from historical volatility
+export const SURFACE_TENORS = [1 / 365, 7 / 365, 30 / 365, 90 / 365, 180 / 365, 1];
+
+export class VolatilitySurface {
+  constructor(marketId, source = 'historical') {
+    this.marketId = marketId;
+    this.source = source; // 'implied' or 'historical'
+    this.slices = []; // [{ timeToExpiry, points: [{ strike, volatility }] }] sorted by tenor
+    this.calibratedAt = new Date();
+  }
+
+  // Replace the smile for one tenor. Strikes are probabilities (0-100).
+  setSlice(timeToExpiry, points) {
+    const validPoints = points
+      .filter(point => Number.isFinite(point.strike) && Number.isFinite(point.volatility) && point.volatility > 0)
+      .sort((a, b) => a.strike - b.strike);
+
+    if (timeToExpiry <= 0 || validPoints.length === 0) return;
+
+    // Tenors within a day of each other describe the same expiry
+    const sameTenor = (slice) => Math.abs(slice.timeToExpiry - timeToExpiry) < 1 / 365;
+    this.slices = this.slices.filter(slice => !sameTenor(slice));
+    this.slices.push({ timeToExpiry, points: validPoints });
+    this.slices.sort((a, b) => a.timeToExpiry - b.timeToExpiry);
+    this.calibratedAt = new Date();
+  }
+
+  isEmpty() {
+    return this.slices.length === 0;
+  }
+
+  getVolatility(strike, timeToExpiry) {
+    if (this.isEmpty()) return null;
+
+    const first = this.slices[0];
+    const last = this.slices[this.slices.length - 1];
+
+    // Flat extrapolation outside the calibrated tenors
+    if (timeToExpiry <= first.timeToExpiry) return this.interpolateSmile(first.points, strike);
+    if (timeToExpiry >= last.timeToExpiry) return this.interpolateSmile(last.points, strike);
+
+    const upperIndex = this.slices.findIndex(slice => slice.timeToExpiry >= timeToExpiry);
+    const lower = this.slices[upperIndex - 1];
+    const upper = this.slices[upperIndex];
+
+    // Interpolate linearly in total variance so the term structure stays arbitrage-free
+    const lowerVariance = Math.pow(this.interpolateSmile(lower.points, strike), 2) * lower.timeToExpiry;
+    const upperVariance = Math.pow(this.interpolateSmile(upper.points, strike), 2) * upper.timeToExpiry;
+    const weight = (timeToExpiry - lower.timeToExpiry) / (upper.timeToExpiry - lower.timeToExpiry);
+    const totalVariance = lowerVariance + (upperVariance - lowerVariance) * weight;
+
+    return Math.sqrt(Math.max(0, totalVariance) / timeToExpiry);
+  }
+
+  interpolateSmile(points, strike) {
+    // Flat extrapolation beyond the quoted wings
+    if (strike <= points[0].strike) return points[0].volatility;
+    if (strike >= points[points.length - 1].strike) return points[points.length - 1].volatility;
+
+    const upperIndex = points.findIndex(point => point.strike >= strike);
+    const lower = points[upperIndex - 1];
+    const upper = points[upperIndex];
+    const weight = (strike - lower.strike) / (upper.strike - lower.strike);
+
+    return lower.volatility + (upper.volatility - lower.volatility) * weight;
+  }
+}
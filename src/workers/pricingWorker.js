@@ -0,0 +1,82 @@
+// Web Worker that runs the options pricing engine off the main thread.
+//
+// Message protocol (see PricingWorkerClient):
+//   main -> worker  { id, type: 'call', method, args }  run an engine method
+//   main -> worker  { id, type: 'cancel' }               drop a queued request, or the
+//                                                        result of the running one
+//   worker -> main  { id, type: 'result', result }
+//   worker -> main  { id, type: 'error', error: { name, message } }
+//   worker -> main  { id, type: 'cancelled' }
+import { optionsPricingEngine } from '../utils/optionsPricing';
+import { PRICING_WORKER_METHODS } from '../utils/pricingClient';
+import { connectPricingEngine } from '../utils/pricingEngineSources';
+
+const engine = connectPricingEngine(optionsPricingEngine);
+const queue = [];
+let processing = false;
+let runningId = null;
+const cancelledIds = new Set(); // Running requests whose result is no longer wanted
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  switch (message.type) {
+    case 'call':
+      queue.push(message);
+      scheduleNext();
+      break;
+    case 'cancel': {
+      const index = queue.findIndex(request => request.id === message.id);
+      if (index !== -1) {
+        queue.splice(index, 1);
+        self.postMessage({ id: message.id, type: 'cancelled' });
+      } else if (message.id === runningId) {
+        // A running engine call cannot be interrupted, but its result is dropped
+        cancelledIds.add(message.id);
+      }
+      break;
+    }
+    default:
+      console.error(`Unknown pricing worker message type: ${message.type}`);
+  }
+};
+
+// Yield between requests so cancel messages are handled before queued work runs
+function scheduleNext() {
+  if (processing || queue.length === 0) return;
+  processing = true;
+  setTimeout(processNext, 0);
+}
+
+async function processNext() {
+  const request = queue.shift();
+  runningId = request.id;
+
+  let response;
+  try {
+    await engine.initialize();
+
+    if (!PRICING_WORKER_METHODS.includes(request.method)) {
+      throw new Error(`Pricing method ${request.method} is not available in the worker`);
+    }
+
+    const result = await engine[request.method](...(request.args || []));
+    response = { id: request.id, type: 'result', result };
+  } catch (error) {
+    response = {
+      id: request.id,
+      type: 'error',
+      error: { name: error.name, message: error.message }
+    };
+  } finally {
+    // Cancelled while running: the work is done, but its result is not sent back
+    if (cancelledIds.delete(request.id)) {
+      response = { id: request.id, type: 'cancelled' };
+    }
+    runningId = null;
+    processing = false;
+  }
+
+  self.postMessage(response);
+  scheduleNext();
+}
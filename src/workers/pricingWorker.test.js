@@ -0,0 +1,30 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { optionsPricingEngine } from '../utils/optionsPricing';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('pricing worker', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    delete globalThis.self;
+  });
+
+  it('drops the result of a request cancelled while it runs', async () => {
+    globalThis.self = { postMessage: vi.fn() };
+    await import('./pricingWorker');
+
+    let finish;
+    const getCandles = vi.spyOn(optionsPricingEngine, 'getCandles')
+      .mockImplementation(() => new Promise(resolve => { finish = resolve; }));
+
+    self.onmessage({ data: { id: 1, type: 'call', method: 'getCandles', args: ['m', '1d'] } });
+    await vi.waitFor(() => expect(getCandles).toHaveBeenCalled());
+
+    self.onmessage({ data: { id: 1, type: 'cancel' } });
+    finish([]);
+    await vi.waitFor(() => expect(self.postMessage).toHaveBeenCalled());
+    await flush();
+
+    expect(self.postMessage.mock.calls).toEqual([[{ id: 1, type: 'cancelled' }]]);
+  });
+});